@@ -3,46 +3,317 @@
  * Provides comprehensive event tracking for multi-tenant motel websites
  */
 
+// GA4 recommended ecommerce events, in booking funnel order
+const BOOKING_FUNNEL_STEPS = [
+    'view_item_list',
+    'view_item',
+    'select_item',
+    'begin_checkout',
+    'add_payment_info',
+    'purchase'
+];
+
 class MotelAnalytics {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            requireConsent: true,
+            maxQueuedEvents: 100,
+            // Plain-text contact details to turn into trackable links, e.g. { phone, email, address }
+            contact: null,
+            contactSelectors: ['footer', '.contact-info'],
+            defaultCountryCode: '1',
+            motelName: document.title,
+            currency: 'USD',
+            // Direct collection endpoint alongside the dataLayer: { endpoint, format, ... } (see event-transport.js)
+            transport: null,
+            // VisitorSession options, e.g. { sessionTimeout }
+            session: {},
+            // CampaignAttribution options, e.g. { bookingHosts: ['book.example.com'] }
+            attribution: {},
+            // CrossDomainLinker options, e.g. { domains: ['book.example-engine.com'] }
+            linker: null,
+            // PiiRedactor options, e.g. { stripQueryParameters, allowList }
+            redaction: {},
+            // EventSchemaRegistry options, e.g. { mode: 'production', schemas }
+            schema: {},
+            // SectionEngagementTracker options, e.g. { visibleThreshold, viewDwell }
+            sections: {},
+            // ScrollTracker options, e.g. { thresholds: [25, 50, 75, 90], pixelThresholds: [1000] }
+            scroll: {},
+            ...options
+        };
+        
+        // Feature flags from site-config.json; missing flags default to enabled
+        this.features = {
+            booking: true,
+            newsletter: true,
+            phoneTracking: true,
+            scrollTracking: true,
+            performanceTracking: true,
+            sectionTracking: true,
+            ...options.features
+        };
+        
         this.dataLayer = window.dataLayer || [];
-        this.scrollThresholds = [25, 50, 75, 100];
-        this.scrollTracked = {};
-        this.sessionStartTime = Date.now();
+        this.scrollTracker = null;
+        this.pageStartTime = Date.now();
         this.pageViewId = this.generateUniqueId();
         
+        // Consent gating: 'pending' until the visitor decides, then 'granted' or 'denied'
+        this.consentState = 'pending';
+        this.eventQueue = [];
+        this.consentPreferences = null;
+        this.session = null;
+        this.attribution = null;
+        this.linker = null;
+        // Result of reading an incoming _gl parameter: 'valid', 'expired' or 'invalid'
+        this.linkerStatus = null;
+        this.linkedSession = null;
+        this.performanceMonitor = null;
+        this.sectionTracker = null;
+        
+        // Every event passes through the redactor before it is queued or sent
+        this.redactor = new PiiRedactor(this.options.redaction);
+        // ...and is then checked against the tracking plan (warned about in development, fixed or dropped in production)
+        this.schema = new EventSchemaRegistry(this.options.schema);
+        
+        // Only consented events are sent, and stored batches are retried only while consent holds
+        this.transport = this.options.transport && this.options.transport.endpoint
+            ? new EventTransport({ ...this.options.transport, canSend: () => this.consentState === 'granted' })
+            : null;
+        
         this.init();
     }
     
     init() {
-        this.setupScrollTracking();
+        this.setupConsentGating();
+        this.setupSession();
+        this.setupLinker();
+        this.setupAttribution();
+        if (this.isFeatureEnabled('scrollTracking')) {
+            this.setupScrollTracking();
+        }
         this.setupFormTracking();
         this.setupLinkTracking();
+        if (this.options.contact) {
+            this.linkifyContactDetails(this.options.contact);
+        }
+        if (this.isFeatureEnabled('performanceTracking')) {
+            this.setupPerformanceTracking();
+        }
+        if (this.isFeatureEnabled('sectionTracking')) {
+            this.setupSectionTracking();
+        }
         this.setupEngagementTracking();
         this.trackPageView();
     }
     
+    isFeatureEnabled(name) {
+        return this.features[name] !== false;
+    }
+    
     generateUniqueId() {
         return 'pv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
     // Core tracking method
     track(eventName, parameters = {}) {
-        const eventData = {
+        const now = Date.now();
+        this.session.touch(now);
+        
+        const eventData = this.schema.apply(this.redactor.sanitize({
             event: eventName,
             page_view_id: this.pageViewId,
-            timestamp: Date.now(),
+            timestamp: now,
+            ...this.session.getParameters(now),
             ...parameters
-        };
+        }));
+        if (!eventData) return;
+        
+        // Hold events until analytics_storage is granted
+        if (this.consentState !== 'granted') {
+            this.queueEvent(eventData);
+            return;
+        }
+        
+        this.pushEvent(eventData);
+    }
+    
+    pushEvent(eventData) {
+        // Clear the previous ecommerce object so GTM doesn't merge items across events
+        if (eventData.ecommerce) {
+            this.dataLayer.push({ ecommerce: null });
+        }
         
         this.dataLayer.push(eventData);
         
+        if (this.transport) {
+            this.transport.enqueue(eventData);
+        }
+        
         // Debug logging (remove in production)
         if (window.location.hostname === 'localhost' || window.location.hostname.includes('127.0.0.1')) {
             console.log('Analytics Event:', eventData);
         }
     }
     
+    // Consent gating
+    setupConsentGating() {
+        if (!this.options.requireConsent) {
+            this.consentState = 'granted';
+            this.consentPreferences = { analytics: true, advertising: true };
+            return;
+        }
+        
+        // Pick up a decision the consent manager already restored before we were created
+        const consentManager = window.consentManager;
+        if (consentManager && consentManager.consentGiven && consentManager.preferences) {
+            this.consentState = consentManager.preferences.analytics ? 'granted' : 'denied';
+            this.consentPreferences = consentManager.preferences;
+        }
+        
+        window.addEventListener('motel:consentchange', (e) => {
+            this.handleConsentChange(e.detail);
+        });
+    }
+    
+    handleConsentChange({ action, preferences }) {
+        this.consentPreferences = action === 'revoke' ? null : preferences;
+        this.attribution.setConsent(this.consentPreferences);
+        
+        if (action === 'revoke') {
+            this.consentState = 'pending';
+            this.session.setPersistent(false);
+            this.discardQueuedEvents();
+            return;
+        }
+        
+        if (preferences && preferences.analytics) {
+            this.consentState = 'granted';
+            this.adoptLinkedSession();
+            this.session.setPersistent(true);
+            this.flushQueuedEvents();
+            if (this.transport) {
+                this.transport.retryStored();
+            }
+        } else {
+            this.consentState = 'denied';
+            this.session.setPersistent(false);
+            this.discardQueuedEvents();
+        }
+    }
+    
+    // Visitor and session across page loads; stored only while analytics consent is granted
+    setupSession() {
+        this.session = new VisitorSession({
+            ...this.options.session,
+            persistent: this.consentState === 'granted'
+        });
+        
+        if (document.visibilityState !== 'hidden') {
+            this.session.resumeEngagement();
+        }
+    }
+    
+    queueEvent(eventData) {
+        this.eventQueue.push(eventData);
+        
+        // Drop the oldest events rather than growing without bound
+        if (this.eventQueue.length > this.options.maxQueuedEvents) {
+            this.eventQueue.shift();
+        }
+    }
+    
+    // Replay held events in order, keeping their original timestamps; they join the visitor's
+    // stored session, which is only known once consent allows reading it
+    flushQueuedEvents() {
+        const queued = this.eventQueue;
+        const { visitor_id, session_id, session_number, session_landing_page } = this.session.getParameters();
+        this.eventQueue = [];
+        queued.forEach(eventData => this.pushEvent({
+            ...eventData,
+            visitor_id,
+            session_id,
+            session_number,
+            session_landing_page
+        }));
+    }
+    
+    discardQueuedEvents() {
+        this.eventQueue = [];
+        if (this.transport) {
+            this.transport.clear();
+        }
+    }
+    
+    // First/last-touch campaign attribution, also appended to booking engine links
+    setupAttribution() {
+        const linkedDomains = this.options.linker ? this.options.linker.domains || [] : [];
+        
+        this.attribution = new CampaignAttribution({
+            ...this.options.attribution,
+            internalHosts: [...(this.options.attribution.internalHosts || []), ...linkedDomains],
+            // A guest returning from the booking engine continues the visit instead of arriving as a referral
+            linked: this.linkerStatus === 'valid',
+            consent: this.consentPreferences
+        });
+    }
+    
+    // Cross-domain linker: hands the visitor and session to the booking engine in _gl and picks them up on return
+    setupLinker() {
+        if (!this.options.linker || !(this.options.linker.domains || []).length) return;
+        
+        this.linker = new CrossDomainLinker({
+            ...this.options.linker,
+            getValues: () => this.getLinkerValues()
+        });
+        
+        const incoming = this.linker.read();
+        if (!incoming) return;
+        
+        this.linkerStatus = incoming.status;
+        const { motel_vid: visitorId, motel_sid: session } = incoming.values;
+        if (incoming.status === 'valid' && visitorId && session) {
+            const [sessionId, sessionNumber, sessionStartedAt] = session.split('.');
+            const linkedSession = {
+                visitorId,
+                sessionId,
+                sessionNumber: Number(sessionNumber),
+                sessionStartedAt: parseInt(sessionStartedAt, 36)
+            };
+            // The fingerprint is only a checksum, so malformed ids count as an invalid parameter
+            if (!VisitorSession.isValidHandover(linkedSession)) {
+                this.linkerStatus = 'invalid';
+                return;
+            }
+            this.linkedSession = linkedSession;
+            
+            // Held until consent allows it, like everything else stored about the visitor
+            if (this.consentState === 'granted') {
+                this.adoptLinkedSession();
+            }
+        }
+    }
+    
+    adoptLinkedSession() {
+        if (!this.linkedSession) return;
+        this.session.adopt(this.linkedSession);
+        this.linkedSession = null;
+    }
+    
+    // Ids handed to linked domains; nothing is passed on without analytics consent
+    getLinkerValues() {
+        if (this.consentState !== 'granted') return null;
+        
+        const { visitor, session } = this.session;
+        const gaCookie = document.cookie.match(/(?:^|;\s*)_ga=GA\d\.\d\.(\d+\.\d+)/);
+        return {
+            _ga: gaCookie ? gaCookie[1] : null,
+            motel_vid: visitor.id,
+            motel_sid: `${session.id}.${session.number}.${session.startedAt.toString(36)}`
+        };
+    }
+    
     // Page view tracking with enhanced data
     trackPageView() {
         const pageData = {
@@ -53,82 +324,63 @@ class MotelAnalytics {
             screen_resolution: `${screen.width}x${screen.height}`,
             viewport_size: `${window.innerWidth}x${window.innerHeight}`,
             language: navigator.language,
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ...(this.linkerStatus ? { linker_status: this.linkerStatus } : {})
         };
         
         this.track('page_view_enhanced', pageData);
     }
     
-    // Booking click tracking with context
+    // Booking click tracking with context: { label, roomType, roomId, price, checkIn, checkOut (YYYY-MM-DD), guests }.
+    // The booking engine takes over from here, so the click also starts the GA4 checkout
     trackBookingClick(element, context = {}) {
+        if (!this.isFeatureEnabled('booking')) return;
+        
         const bookingData = {
             event_category: 'conversion',
             event_label: context.label || 'Book Now Button',
             button_text: element.textContent.trim(),
             button_location: this.getElementLocation(element),
             page_section: this.getPageSection(element),
-            time_on_page: Date.now() - this.sessionStartTime,
-            ...context
+            time_on_page: Date.now() - this.pageStartTime,
+            ...(context.roomType ? { room_type: context.roomType } : {}),
+            ...(context.checkIn ? { check_in_date: context.checkIn } : {}),
+            ...(context.checkOut ? { check_out_date: context.checkOut } : {}),
+            ...(context.guests ? { number_of_guests: Number(context.guests) } : {}),
+            ...this.attribution.getParameters()
         };
         
         this.track('booking_click', bookingData);
+        this.trackBeginCheckout({
+            roomType: context.roomType || 'Any room',
+            roomId: context.roomId,
+            price: context.price
+        }, {
+            checkIn: context.checkIn,
+            checkOut: context.checkOut,
+            guests: context.guests
+        });
     }
     
-    // Enhanced scroll tracking
+    // Percentage and pixel scroll milestones (page_scroll) and tagged containers (element_scroll)
     setupScrollTracking() {
-        let ticking = false;
-        
-        const updateScrollProgress = () => {
-            const scrollTop = document.documentElement.scrollTop || document.body.scrollTop;
-            const scrollHeight = document.documentElement.scrollHeight - document.documentElement.clientHeight;
-            const scrollPercent = Math.round((scrollTop / scrollHeight) * 100);
-            
-            // Update scroll indicator
-            const indicator = document.getElementById('scrollIndicator');
-            if (indicator) {
-                indicator.style.width = scrollPercent + '%';
-            }
-            
-            // Track scroll milestones
-            this.scrollThresholds.forEach(threshold => {
-                if (scrollPercent >= threshold && !this.scrollTracked[threshold]) {
-                    this.trackPageScroll(threshold);
-                    this.scrollTracked[threshold] = true;
-                }
-            });
-            
-            ticking = false;
-        };
-        
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(updateScrollProgress);
-                ticking = true;
-            }
+        this.scrollTracker = new ScrollTracker({
+            ...this.options.scroll,
+            report: (eventName, parameters) => this.track(eventName, parameters)
         });
     }
     
-    trackPageScroll(depth) {
-        const scrollData = {
-            event_category: 'engagement',
-            event_label: 'Page Scroll',
-            scroll_depth: depth,
-            time_to_scroll: Date.now() - this.sessionStartTime,
-            page_height: document.documentElement.scrollHeight,
-            viewport_height: window.innerHeight
-        };
-        
-        this.track('page_scroll', scrollData);
-    }
-    
     // Newsletter signup tracking
     trackNewsletterSignup(form, email) {
+        if (!this.isFeatureEnabled('newsletter')) return;
+        
         const signupData = {
             event_category: 'conversion',
             event_label: 'Newsletter Subscription',
             form_location: this.getElementLocation(form),
             email_domain: email.split('@')[1] || 'unknown',
-            time_on_page: Date.now() - this.sessionStartTime
+            time_on_page: Date.now() - this.pageStartTime,
+            ...this.attribution.getParameters()
         };
         
         this.track('newsletter_signup', signupData);
@@ -166,17 +418,27 @@ class MotelAnalytics {
         });
     }
     
-    // Link click tracking
+    // Link click tracking; phone, email and directions links go to their conversion events
     setupLinkTracking() {
         document.addEventListener('click', (e) => {
             const link = e.target.closest('a');
-            if (link && link.href) {
+            if (!link || !link.href) return;
+            
+            const linkType = this.getLinkType(link);
+            if (linkType === 'phone') {
+                this.trackPhoneClick(decodeURIComponent(link.href.replace(/^tel:/i, '')));
+            } else if (linkType === 'email') {
+                this.trackEmailClick(decodeURIComponent(link.href.replace(/^mailto:/i, '').split('?')[0]));
+            } else if (linkType === 'directions') {
+                this.trackDirectionsClick(this.getMapProvider(link.href) || 'custom');
+            } else {
                 const linkData = {
                     event_category: 'navigation',
                     link_text: link.textContent.trim(),
                     link_url: link.href,
                     link_domain: new URL(link.href).hostname,
                     is_external: new URL(link.href).hostname !== window.location.hostname,
+                    is_cross_domain: this.linker ? this.linker.isLinkedHost(new URL(link.href).hostname) : false,
                     link_location: this.getElementLocation(link)
                 };
                 
@@ -185,38 +447,186 @@ class MotelAnalytics {
         });
     }
     
+    getLinkType(link) {
+        const href = link.href;
+        const trackAs = link.dataset.track;
+        
+        if (trackAs === 'phone' || /^tel:/i.test(href)) return 'phone';
+        if (trackAs === 'email' || /^mailto:/i.test(href)) return 'email';
+        if (trackAs === 'directions' || this.getMapProvider(href) !== null) return 'directions';
+        return 'link';
+    }
+    
+    // Recognize Google and Apple Maps URLs (and geo: URIs)
+    getMapProvider(href) {
+        if (/^geo:/i.test(href)) return 'geo';
+        
+        let url;
+        try {
+            url = new URL(href);
+        } catch (error) {
+            return null;
+        }
+        
+        const host = url.hostname.replace(/^www\./, '');
+        if (host === 'maps.apple.com') return 'apple_maps';
+        if (host === 'maps.app.goo.gl' || /^maps\.google\./.test(host)) return 'google_maps';
+        if (/^google\.[a-z.]+$/.test(host) && url.pathname.startsWith('/maps')) return 'google_maps';
+        if (host === 'goo.gl' && url.pathname.startsWith('/maps')) return 'google_maps';
+        return null;
+    }
+    
+    // Wrap plain-text contact details in tel:, mailto: and directions links
+    linkifyContactDetails(contact) {
+        const links = [];
+        if (contact.phone) {
+            links.push({
+                text: contact.phone,
+                href: this.toTelHref(contact.phone),
+                track: 'phone'
+            });
+        }
+        if (contact.email) {
+            links.push({
+                text: contact.email,
+                href: 'mailto:' + contact.email,
+                track: 'email'
+            });
+        }
+        if (contact.address) {
+            links.push({
+                text: contact.address,
+                href: 'https://www.google.com/maps/dir/?api=1&destination=' + encodeURIComponent(contact.address),
+                track: 'directions',
+                external: true
+            });
+        }
+        
+        document.querySelectorAll(this.options.contactSelectors.join(',')).forEach(container => {
+            links.forEach(linkSpec => this.wrapTextInLink(container, linkSpec));
+        });
+    }
+    
+    wrapTextInLink(container, { text, href, track, external }) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const matches = [];
+        
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeValue.includes(text) && !node.parentElement.closest('a')) {
+                matches.push(node);
+            }
+        }
+        
+        matches.forEach(node => {
+            const match = node.splitText(node.nodeValue.indexOf(text));
+            match.splitText(text.length);
+            
+            const link = document.createElement('a');
+            link.href = href;
+            link.dataset.track = track;
+            if (external) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            match.parentNode.replaceChild(link, match);
+            link.appendChild(match);
+        });
+    }
+    
+    // "(555) 987-6543" -> "tel:+15559876543"
+    toTelHref(phone) {
+        const hasPlus = phone.trim().startsWith('+');
+        let digits = phone.replace(/\D/g, '');
+        if (!hasPlus && digits.length === 10 && this.options.defaultCountryCode) {
+            digits = this.options.defaultCountryCode + digits;
+        }
+        return 'tel:' + (hasPlus || digits.length > 10 ? '+' : '') + digits;
+    }
+    
+    // Core Web Vitals, page timing and long tasks; set up before engagement tracking so metrics
+    // finalized on visibilitychange are tracked before the transport is flushed
+    setupPerformanceTracking() {
+        this.performanceMonitor = new PerformanceMonitor({
+            report: (eventName, parameters) => this.track(eventName, parameters)
+        });
+    }
+    
+    // section_view per tagged section and a section_engagement summary when the page is left
+    setupSectionTracking() {
+        this.sectionTracker = new SectionEngagementTracker({
+            ...this.options.sections,
+            report: (eventName, parameters) => this.track(eventName, parameters)
+        });
+    }
+    
+    // Session engaged time and section dwell time stop while the tab is hidden or the visitor is idle
+    pauseEngagement() {
+        this.session.pauseEngagement();
+        if (this.sectionTracker) {
+            this.sectionTracker.pause();
+        }
+    }
+    
+    resumeEngagement() {
+        this.session.resumeEngagement();
+        if (this.sectionTracker) {
+            this.sectionTracker.resume();
+        }
+    }
+    
     // Engagement tracking (time on page, visibility, etc.)
     setupEngagementTracking() {
+        // Idle after 30 seconds without input; engaged time pauses while idle or hidden
+        let idleTimer;
+        let isIdle = false;
+        const idleTime = 30000; // 30 seconds
+        
         // Track page visibility changes
         document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.pauseEngagement();
+            } else if (!isIdle) {
+                this.resumeEngagement();
+            }
+            
             const visibilityData = {
                 event_category: 'engagement',
                 visibility_state: document.visibilityState,
-                time_on_page: Date.now() - this.sessionStartTime
+                time_on_page: Date.now() - this.pageStartTime
             };
             
             this.track('page_visibility_change', visibilityData);
+            
+            // Mobile browsers often discard hidden pages without firing pagehide, so send now
+            if (document.visibilityState === 'hidden') {
+                this.flushTransport();
+            }
         });
         
-        // Track when user is about to leave (beforeunload)
-        window.addEventListener('beforeunload', () => {
+        // Track when user leaves; pagehide fires reliably on mobile and keeps the page eligible for the back/forward cache
+        window.addEventListener('pagehide', () => {
             const sessionData = {
                 event_category: 'engagement',
-                session_duration: Date.now() - this.sessionStartTime,
-                max_scroll_depth: Math.max(...Object.keys(this.scrollTracked).map(Number), 0)
+                time_on_page: Date.now() - this.pageStartTime,
+                session_duration: this.session.getSessionDuration(),
+                max_scroll_depth: this.scrollTracker ? this.scrollTracker.getMaxDepth() : 0
             };
             
+            this.pauseEngagement();
             this.track('session_end', sessionData);
+            if (this.sectionTracker) {
+                this.sectionTracker.summarize();
+            }
+            this.flushTransport();
         });
         
-        // Track idle time
-        let idleTimer;
-        let isIdle = false;
-        const idleTime = 30000; // 30 seconds
-        
         const resetIdleTimer = () => {
             clearTimeout(idleTimer);
             if (isIdle) {
+                if (document.visibilityState !== 'hidden') {
+                    this.resumeEngagement();
+                }
                 this.track('user_active', {
                     event_category: 'engagement',
                     idle_duration: Date.now() - this.idleStartTime
@@ -226,10 +636,11 @@ class MotelAnalytics {
             
             idleTimer = setTimeout(() => {
                 if (!isIdle) {
+                    this.pauseEngagement();
                     this.idleStartTime = Date.now();
                     this.track('user_idle', {
                         event_category: 'engagement',
-                        time_before_idle: Date.now() - this.sessionStartTime
+                        time_before_idle: Date.now() - this.pageStartTime
                     });
                     isIdle = true;
                 }
@@ -243,6 +654,13 @@ class MotelAnalytics {
         resetIdleTimer();
     }
     
+    // Hand buffered events to the browser with sendBeacon before the page goes away
+    flushTransport() {
+        if (this.transport) {
+            this.transport.flush({ unloading: true });
+        }
+    }
+    
     // Utility methods
     getElementLocation(element) {
         const rect = element.getBoundingClientRect();
@@ -255,6 +673,12 @@ class MotelAnalytics {
     }
     
     getPageSection(element) {
+        // Sections tagged for engagement tracking use the same name here
+        const tagged = element.closest('[data-track-section]');
+        if (tagged) {
+            return tagged.dataset.trackSection;
+        }
+        
         // Try to find the closest section or container with an ID
         let current = element;
         while (current && current !== document.body) {
@@ -270,13 +694,8 @@ class MotelAnalytics {
     }
     
     // Custom event methods for specific motel actions
-    trackRoomView(roomType, roomId) {
-        this.track('room_view', {
-            event_category: 'product',
-            room_type: roomType,
-            room_id: roomId,
-            event_label: `Room View - ${roomType}`
-        });
+    trackRoomView(roomType, roomId, price) {
+        this.trackViewItem({ roomType, roomId, price });
     }
     
     trackPriceCheck(checkInDate, checkOutDate, guests) {
@@ -285,7 +704,8 @@ class MotelAnalytics {
             check_in_date: checkInDate,
             check_out_date: checkOutDate,
             number_of_guests: guests,
-            event_label: 'Price Check'
+            event_label: 'Price Check',
+            ...this.attribution.getParameters()
         });
     }
     
@@ -299,6 +719,8 @@ class MotelAnalytics {
     }
     
     trackPhoneClick(phoneNumber) {
+        if (!this.isFeatureEnabled('phoneTracking')) return;
+        
         this.track('phone_click', {
             event_category: 'conversion',
             phone_number: phoneNumber,
@@ -306,16 +728,111 @@ class MotelAnalytics {
         });
     }
     
-    trackDirectionsClick() {
+    // GA4 ecommerce booking funnel
+    // room: { roomType, roomId, price (per night), currency }
+    // stay: { checkIn, checkOut (YYYY-MM-DD), guests, nights }
+    trackViewItemList(rooms, listName = 'Rooms', stay = {}) {
+        this.trackEcommerce('view_item_list', rooms, stay, {
+            item_list_id: this.slugify(listName),
+            item_list_name: listName
+        });
+    }
+    
+    trackViewItem(room, stay = {}) {
+        this.trackEcommerce('view_item', [room], stay);
+    }
+    
+    trackSelectItem(room, listName = 'Rooms', stay = {}) {
+        this.trackEcommerce('select_item', [room], stay, {
+            item_list_id: this.slugify(listName),
+            item_list_name: listName
+        });
+    }
+    
+    trackBeginCheckout(room, stay, coupon) {
+        this.trackEcommerce('begin_checkout', [room], stay, coupon ? { coupon } : {});
+    }
+    
+    trackAddPaymentInfo(room, stay, paymentType) {
+        this.trackEcommerce('add_payment_info', [room], stay, { payment_type: paymentType });
+    }
+    
+    trackPurchase(room, stay, transactionId, { tax, coupon } = {}) {
+        this.trackEcommerce('purchase', [room], stay, {
+            transaction_id: transactionId,
+            ...(tax !== undefined ? { tax } : {}),
+            ...(coupon ? { coupon } : {})
+        });
+    }
+    
+    trackEcommerce(eventName, rooms, stay = {}, extra = {}) {
+        const items = rooms.map((room, index) => this.buildRoomItem(room, stay, index));
+        const value = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const step = BOOKING_FUNNEL_STEPS.indexOf(eventName) + 1;
+        
+        this.track(eventName, {
+            funnel_step: step,
+            funnel_step_name: eventName,
+            ecommerce: {
+                currency: rooms[0]?.currency || this.options.currency,
+                value: Math.round(value * 100) / 100,
+                ...extra,
+                items
+            }
+        });
+    }
+    
+    // Room type is the item; nights are the quantity
+    buildRoomItem(room, stay, index) {
+        const item = {
+            item_id: room.roomId ? String(room.roomId) : this.slugify(room.roomType),
+            item_name: room.roomType,
+            item_brand: this.options.motelName,
+            item_category: 'Room',
+            index,
+            price: Number(room.price) || 0,
+            quantity: this.getNights(stay)
+        };
+        
+        if (stay.checkIn) item.check_in_date = stay.checkIn;
+        if (stay.checkOut) item.check_out_date = stay.checkOut;
+        if (stay.guests) item.number_of_guests = Number(stay.guests);
+        
+        return item;
+    }
+    
+    getNights(stay) {
+        if (stay.checkIn && stay.checkOut) {
+            const nights = Math.round((Date.parse(stay.checkOut) - Date.parse(stay.checkIn)) / 86400000);
+            if (nights > 0) return nights;
+        }
+        return Number(stay.nights) > 0 ? Number(stay.nights) : 1;
+    }
+    
+    slugify(text) {
+        return String(text || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+    
+    trackEmailClick(emailAddress) {
+        this.track('email_click', {
+            event_category: 'conversion',
+            email_domain: emailAddress.split('@')[1] || 'unknown',
+            event_label: 'Email Link Click'
+        });
+    }
+    
+    trackDirectionsClick(mapProvider = 'unknown') {
         this.track('directions_click', {
             event_category: 'conversion',
+            map_provider: mapProvider,
             event_label: 'Get Directions'
         });
     }
 }
 
-// Initialize analytics when DOM is ready
+// Initialize analytics when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
 document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap) return;
     window.motelAnalytics = new MotelAnalytics();
 });
 
@@ -349,5 +866,6 @@ function trackNewsletterSignup(event) {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MotelAnalytics;
+    module.exports.BOOKING_FUNNEL_STEPS = BOOKING_FUNNEL_STEPS;
 }
 
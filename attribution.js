@@ -0,0 +1,308 @@
+/**
+ * Campaign Attribution
+ * Reads UTM parameters, ad click ids and the referrer of each visit, classifies them into a
+ * marketing channel (including OTAs and hotel metasearch) and keeps first- and last-touch
+ * attribution so bookings can be tied back to the campaign that brought the guest
+ */
+
+const UTM_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+
+// Ad click ids and the source/medium they imply when the link carries no UTM tags
+const CLICK_ID_PARAMETERS = {
+    gclid: { source: 'google', medium: 'cpc' },
+    gbraid: { source: 'google', medium: 'cpc' },
+    wbraid: { source: 'google', medium: 'cpc' },
+    msclkid: { source: 'bing', medium: 'cpc' },
+    fbclid: { source: 'facebook', medium: 'social' }
+};
+
+// Matched against utm_source and the referrer host: "booking" matches booking, booking.com and secure.booking.com
+const TRAVEL_SOURCES = {
+    Metasearch: ['tripadvisor', 'trivago', 'kayak', 'skyscanner', 'hotelscombined', 'google_hotels', 'googlehotels', 'google_hotel_ads'],
+    OTA: ['booking', 'expedia', 'hotels', 'agoda', 'priceline', 'trip', 'orbitz', 'travelocity', 'hotwire']
+};
+const SEARCH_SOURCES = ['google', 'bing', 'yahoo', 'duckduckgo', 'ecosia', 'baidu', 'yandex', 'naver', 'qwant'];
+const SOCIAL_SOURCES = ['facebook', 'fb', 'instagram', 'messenger', 't', 'x', 'twitter', 'linkedin', 'lnkd', 'pinterest', 'youtube', 'tiktok', 'reddit', 'threads'];
+const EMAIL_HOSTS = /(^|\.)(mail\.google|outlook\.live|outlook\.office|mail\.yahoo|mail\.aol)\./;
+
+class CampaignAttribution {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'motel_attribution',
+            // Outbound links to the booking engine that get the attribution appended
+            bookingLinkSelector: 'a[data-booking-link]',
+            bookingHosts: [],
+            // Hosts that count as this site, so moving between them is not a new touch
+            internalHosts: [],
+            // Extra { channel: ['source', ...] } rules checked before the built-in ones
+            channels: {},
+            // The visit was handed over by the cross-domain linker, so it continues an earlier one
+            linked: false,
+            // { analytics, advertising } as granted by the visitor; null while undecided (nothing is read or stored)
+            consent: null,
+            ...options
+        };
+
+        this.consent = { analytics: false, advertising: false };
+        this.touch = this.captureTouch();
+        this.attribution = { first: null, last: null };
+        this.applyTouch();
+
+        if (this.options.consent) {
+            this.setConsent(this.options.consent);
+        }
+        this.setupLinkDecoration();
+    }
+
+    // The touch this page view represents, or null for internal navigation
+    captureTouch() {
+        const params = new URLSearchParams(window.location.search);
+        const referrerHost = this.getReferrerHost();
+        const utm = {};
+        UTM_PARAMETERS.forEach(name => {
+            if (params.get(name)) {
+                utm[name.slice(4)] = params.get(name).trim().toLowerCase();
+            }
+        });
+
+        const clickIdType = Object.keys(CLICK_ID_PARAMETERS).find(name => params.get(name));
+        const isInternal = this.options.linked || Boolean(referrerHost && this.isInternalHost(referrerHost));
+
+        if (!Object.keys(utm).length && !clickIdType && isInternal) return null;
+
+        const implied = clickIdType ? CLICK_ID_PARAMETERS[clickIdType] : {};
+        const touch = {
+            source: utm.source || implied.source || (referrerHost && !isInternal ? referrerHost : '(direct)'),
+            medium: utm.medium || implied.medium || null,
+            campaign: utm.campaign || null,
+            term: utm.term || null,
+            content: utm.content || null,
+            campaign_id: utm.id || null,
+            click_id_type: clickIdType || null,
+            click_id: clickIdType ? params.get(clickIdType) : null,
+            referrer: isInternal ? null : referrerHost,
+            landing_page: window.location.pathname,
+            timestamp: Date.now()
+        };
+
+        touch.channel = this.classify(touch);
+        if (!touch.medium) {
+            touch.medium = this.getDefaultMedium(touch.channel);
+        }
+        return touch;
+    }
+
+    getReferrerHost() {
+        try {
+            return document.referrer ? new URL(document.referrer).hostname.replace(/^www\./, '').toLowerCase() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isInternalHost(host) {
+        const hosts = [window.location.hostname, ...this.options.internalHosts, ...this.options.bookingHosts]
+            .map(name => name.replace(/^www\./, '').toLowerCase());
+        return hosts.some(name => host === name || host.endsWith('.' + name) || name.endsWith('.' + host));
+    }
+
+    // Channel names follow GA4's default channel group, plus OTA and Metasearch for travel sites
+    classify(touch) {
+        const source = touch.source;
+        const medium = touch.medium || '';
+
+        const custom = Object.keys(this.options.channels).find(channel => this.matches(source, this.options.channels[channel]));
+        if (custom) return custom;
+
+        if (source === '(direct)' && !medium) return 'Direct';
+        if (medium === 'metasearch' || this.matches(source, TRAVEL_SOURCES.Metasearch) || this.matches(touch.campaign, TRAVEL_SOURCES.Metasearch)) return 'Metasearch';
+        if (medium === 'ota' || this.matches(source, TRAVEL_SOURCES.OTA)) return 'OTA';
+
+        const isPaid = /^(.*cpc|ppc|paid.*|retargeting)$/.test(medium);
+        if (isPaid && this.matches(source, SOCIAL_SOURCES)) return 'Paid Social';
+        if (/^(paid[_-]?social|social[_-]?paid)$/.test(medium)) return 'Paid Social';
+        if (isPaid) return 'Paid Search';
+        if (/^(display|banner|cpm|expandable|interstitial)$/.test(medium)) return 'Display';
+        if (/^(e[_-]?mail|newsletter)$/.test(medium) || (touch.referrer && EMAIL_HOSTS.test(touch.referrer))) return 'Email';
+        if (/^affiliates?$/.test(medium)) return 'Affiliates';
+        if (medium === 'organic' || (!medium && this.matches(source, SEARCH_SOURCES))) return 'Organic Search';
+        if (/^(social|social[_-]?network|social[_-]?media|sm)$/.test(medium) || (!medium && this.matches(source, SOCIAL_SOURCES))) return 'Organic Social';
+        if (medium === 'referral' || (!medium && touch.referrer)) return 'Referral';
+        return 'Unassigned';
+    }
+
+    // "booking" matches booking, booking.com and secure.booking.com but not booking-engine.com
+    matches(value, names) {
+        if (!value) return false;
+        return names.some(name => new RegExp(`(^|\\.)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.|$)`).test(value));
+    }
+
+    getDefaultMedium(channel) {
+        return {
+            'Direct': '(none)',
+            'Organic Search': 'organic',
+            'Organic Social': 'social',
+            'Email': 'email',
+            'Referral': 'referral'
+        }[channel] || 'referral';
+    }
+
+    // Last touch ignores direct visits (last non-direct click), first touch is never replaced
+    applyTouch() {
+        const touch = this.touch;
+        if (!touch) return;
+
+        if (!this.attribution.first) {
+            this.attribution.first = touch;
+        }
+        if (touch.channel !== 'Direct' || !this.attribution.last) {
+            this.attribution.last = touch;
+        }
+    }
+
+    // Attribution is stored under analytics consent; ad click ids only under advertising consent.
+    // Declining deletes the stored touches; this page's touch is kept in memory
+    setConsent(consent) {
+        this.consent = {
+            analytics: Boolean(consent && consent.analytics),
+            advertising: Boolean(consent && consent.advertising)
+        };
+
+        if (!this.consent.analytics) {
+            this.remove();
+            this.attribution = { first: null, last: null };
+            this.applyTouch();
+            return;
+        }
+
+        const stored = this.read();
+        if (stored) {
+            this.attribution = { first: stored.first || null, last: stored.last || null };
+            this.applyTouch();
+        }
+        this.save();
+    }
+
+    save() {
+        const strip = (touch) => touch && !this.consent.advertising ? { ...touch, click_id: null } : touch;
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify({
+                first: strip(this.attribution.first),
+                last: strip(this.attribution.last)
+            }));
+        } catch (error) {
+            console.warn('Failed to save attribution:', error);
+        }
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    remove() {
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+
+    getAttribution() {
+        return {
+            first: this.attribution.first ? { ...this.attribution.first } : null,
+            last: this.attribution.last ? { ...this.attribution.last } : null
+        };
+    }
+
+    // Flat event parameters: first_touch_* and last_touch_*
+    getParameters() {
+        const parameters = {};
+        const add = (prefix, touch, fields) => {
+            if (!touch) return;
+            fields.forEach(field => {
+                if (touch[field]) {
+                    parameters[`${prefix}_${field}`] = touch[field];
+                }
+            });
+        };
+
+        add('first_touch', this.attribution.first, ['source', 'medium', 'campaign', 'channel']);
+        add('last_touch', this.attribution.last, ['source', 'medium', 'campaign', 'term', 'content', 'channel']);
+        if (this.consent.advertising) {
+            add('last_touch', this.attribution.last, ['click_id_type', 'click_id']);
+        }
+        return parameters;
+    }
+
+    // Query parameters handed to the booking engine: last-touch UTM tags and, with advertising consent, the click id
+    getLinkParameters() {
+        const touch = this.attribution.last;
+        if (!touch || !this.consent.analytics || touch.channel === 'Direct') return {};
+
+        const parameters = {
+            utm_source: touch.source,
+            utm_medium: touch.medium,
+            utm_campaign: touch.campaign,
+            utm_term: touch.term,
+            utm_content: touch.content
+        };
+        if (this.consent.advertising && touch.click_id) {
+            parameters[touch.click_id_type] = touch.click_id;
+        }
+
+        Object.keys(parameters).forEach(name => {
+            if (!parameters[name]) delete parameters[name];
+        });
+        return parameters;
+    }
+
+    isBookingLink(link) {
+        if (link.matches(this.options.bookingLinkSelector)) return true;
+
+        try {
+            const host = new URL(link.href).hostname.replace(/^www\./, '');
+            return this.options.bookingHosts.some(name => host === name.replace(/^www\./, ''));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Append attribution when a booking link is followed; tags already on the link win
+    decorateLink(link) {
+        let url;
+        try {
+            url = new URL(link.href);
+        } catch (error) {
+            return;
+        }
+
+        Object.entries(this.getLinkParameters()).forEach(([name, value]) => {
+            if (!url.searchParams.has(name)) {
+                url.searchParams.set(name, value);
+            }
+        });
+        link.href = url.toString();
+    }
+
+    setupLinkDecoration() {
+        // mousedown also covers middle clicks and "open in new tab"
+        ['mousedown', 'click', 'keydown'].forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                const link = e.target.closest && e.target.closest('a[href]');
+                if (link && this.isBookingLink(link)) {
+                    this.decorateLink(link);
+                }
+            }, true);
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CampaignAttribution;
+    module.exports.CLICK_ID_PARAMETERS = CLICK_ID_PARAMETERS;
+}
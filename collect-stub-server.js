@@ -0,0 +1,79 @@
+/**
+ * Collection Endpoint Stub
+ * Local stand-in for a server-side tagging endpoint that logs every batch event-transport.js sends
+ *
+ *   npm run collect-stub                        # http://localhost:8787/collect
+ *   FAIL_RATE=0.5 npm run collect-stub          # answer half the requests with 503 to exercise retries
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+// Batches are retried until acknowledged, so the same batch_id can arrive twice
+const seenBatches = new Set();
+
+const server = http.createServer((req, res) => {
+    // The site is served from another port, so allow it cross-origin
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' });
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const time = new Date().toISOString();
+
+        if (Math.random() < FAIL_RATE) {
+            console.log(`${time} ${req.url} 503 (simulated failure)`);
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            console.log(`${time} ${req.url} 400 invalid JSON`);
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        const events = Array.isArray(payload.events) ? payload.events : [];
+        const duplicate = Boolean(payload.batch_id) && seenBatches.has(payload.batch_id);
+        if (payload.batch_id) {
+            seenBatches.add(payload.batch_id);
+        }
+
+        console.log(`${time} ${req.url} ${events.length} event(s)${payload.client_id ? ` client ${payload.client_id}` : ''}${duplicate ? ' (duplicate batch)' : ''}`);
+        events.forEach(event => {
+            console.log(`  ${event.event || event.name}`);
+        });
+
+        res.writeHead(204);
+        res.end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Collection stub listening on http://localhost:${PORT}/collect`);
+});
@@ -0,0 +1,258 @@
+/**
+ * Consent UI translation bundles
+ * Bump a bundle's `version` when its wording changes: visitors who consented on the
+ * previous text of that language are asked again
+ */
+
+const CONSENT_LOCALES = {
+    en: {
+        name: 'English',
+        version: '1',
+        bannerTitle: 'We value your privacy.',
+        bannerText: 'This website uses cookies and analytics to improve your experience and help us understand how our site is used. By clicking "Accept", you consent to our use of cookies and analytics tracking.',
+        learnMore: 'Learn more',
+        accept: 'Accept',
+        decline: 'Decline',
+        customize: 'Customize',
+        language: 'Language',
+        modalTitle: 'Privacy Preferences',
+        modalIntro: 'We use cookies and similar technologies to enhance your experience, analyze site usage, and assist in marketing efforts. You can manage your preferences below:',
+        newPurposesIntro: 'We have updated how we use data. Please review the new options below; your other choices are unchanged.',
+        necessaryTitle: 'Necessary Cookies',
+        necessaryDescription: 'These cookies are essential for the website to function properly. They cannot be disabled.',
+        analyticsTitle: 'Analytics Cookies',
+        analyticsDescription: 'These cookies help us understand how visitors interact with our website by collecting and reporting information anonymously.',
+        advertisingTitle: 'Advertising Cookies',
+        advertisingDescription: 'These cookies are used to make advertising messages more relevant to you and your interests.',
+        functionalTitle: 'Functional Cookies',
+        functionalDescription: 'These cookies enable enhanced functionality and personalization, such as remembering your preferences.',
+        unclassifiedTitle: 'Unclassified Cookies',
+        unclassifiedDescription: 'These cookies were found on this page and are still being classified.',
+        cookieDetails: 'Cookie details',
+        cookieTableHeaders: ['Name', 'Provider', 'Purpose', 'Duration', 'Type'],
+        cookieTableEmpty: 'None in use',
+        cancel: 'Cancel',
+        save: 'Save Preferences',
+        close: 'Close',
+        optOutConfirmation: 'Sale/Sharing Opt-Out Confirmed',
+        placeholderText: '{label} is blocked by your privacy settings because it uses {category}.',
+        placeholderEnable: 'Enable {category}',
+        placeholderLabel: 'This content',
+        placeholderCategories: { analytics: 'analytics cookies', advertising: 'advertising cookies', functional: 'functional cookies' }
+    },
+    de: {
+        name: 'Deutsch',
+        version: '1',
+        bannerTitle: 'Ihre Privatsphäre ist uns wichtig.',
+        bannerText: 'Diese Website verwendet Cookies und Analysedienste, um Ihr Erlebnis zu verbessern und zu verstehen, wie unsere Website genutzt wird. Mit einem Klick auf „Akzeptieren“ willigen Sie in die Verwendung von Cookies und Analyse-Tracking ein.',
+        learnMore: 'Mehr erfahren',
+        accept: 'Akzeptieren',
+        decline: 'Ablehnen',
+        customize: 'Anpassen',
+        language: 'Sprache',
+        modalTitle: 'Datenschutzeinstellungen',
+        modalIntro: 'Wir verwenden Cookies und ähnliche Technologien, um Ihr Erlebnis zu verbessern, die Nutzung der Website zu analysieren und unser Marketing zu unterstützen. Sie können Ihre Einstellungen unten verwalten:',
+        newPurposesIntro: 'Wir haben die Nutzung Ihrer Daten aktualisiert. Bitte prüfen Sie die neuen Optionen unten; Ihre übrigen Einstellungen bleiben unverändert.',
+        necessaryTitle: 'Notwendige Cookies',
+        necessaryDescription: 'Diese Cookies sind für das Funktionieren der Website erforderlich. Sie können nicht deaktiviert werden.',
+        analyticsTitle: 'Analyse-Cookies',
+        analyticsDescription: 'Diese Cookies helfen uns zu verstehen, wie Besucher mit unserer Website interagieren, indem Informationen anonym erfasst und ausgewertet werden.',
+        advertisingTitle: 'Werbe-Cookies',
+        advertisingDescription: 'Diese Cookies werden verwendet, um Werbebotschaften besser auf Sie und Ihre Interessen abzustimmen.',
+        functionalTitle: 'Funktionale Cookies',
+        functionalDescription: 'Diese Cookies ermöglichen erweiterte Funktionen und Personalisierung, zum Beispiel das Speichern Ihrer Einstellungen.',
+        unclassifiedTitle: 'Nicht klassifizierte Cookies',
+        unclassifiedDescription: 'Diese Cookies wurden auf dieser Seite gefunden und werden noch klassifiziert.',
+        cookieDetails: 'Cookie-Details',
+        cookieTableHeaders: ['Name', 'Anbieter', 'Zweck', 'Speicherdauer', 'Typ'],
+        cookieTableEmpty: 'Keine im Einsatz',
+        cancel: 'Abbrechen',
+        save: 'Einstellungen speichern',
+        close: 'Schließen',
+        optOutConfirmation: 'Widerspruch gegen Verkauf/Weitergabe bestätigt',
+        placeholderText: '{label} ist durch Ihre Datenschutzeinstellungen blockiert, da dafür {category} nötig sind.',
+        placeholderEnable: '{category} zulassen',
+        placeholderLabel: 'Dieser Inhalt',
+        placeholderCategories: { analytics: 'Analyse-Cookies', advertising: 'Werbe-Cookies', functional: 'Funktions-Cookies' }
+    },
+    fr: {
+        name: 'Français',
+        version: '1',
+        bannerTitle: 'Votre vie privée compte pour nous.',
+        bannerText: 'Ce site utilise des cookies et des outils d’analyse pour améliorer votre expérience et comprendre comment notre site est utilisé. En cliquant sur « Accepter », vous consentez à l’utilisation de cookies et au suivi analytique.',
+        learnMore: 'En savoir plus',
+        accept: 'Accepter',
+        decline: 'Refuser',
+        customize: 'Personnaliser',
+        language: 'Langue',
+        modalTitle: 'Paramètres de confidentialité',
+        modalIntro: 'Nous utilisons des cookies et des technologies similaires pour améliorer votre expérience, analyser l’utilisation du site et soutenir nos actions marketing. Vous pouvez gérer vos préférences ci-dessous :',
+        newPurposesIntro: 'Nous avons mis à jour notre utilisation des données. Veuillez examiner les nouvelles options ci-dessous ; vos autres choix restent inchangés.',
+        necessaryTitle: 'Cookies nécessaires',
+        necessaryDescription: 'Ces cookies sont indispensables au bon fonctionnement du site. Ils ne peuvent pas être désactivés.',
+        analyticsTitle: 'Cookies analytiques',
+        analyticsDescription: 'Ces cookies nous aident à comprendre comment les visiteurs utilisent notre site en collectant et en communiquant des informations de manière anonyme.',
+        advertisingTitle: 'Cookies publicitaires',
+        advertisingDescription: 'Ces cookies servent à rendre les messages publicitaires plus pertinents pour vous et vos centres d’intérêt.',
+        functionalTitle: 'Cookies fonctionnels',
+        functionalDescription: 'Ces cookies permettent des fonctionnalités avancées et la personnalisation, comme la mémorisation de vos préférences.',
+        unclassifiedTitle: 'Cookies non classés',
+        unclassifiedDescription: 'Ces cookies ont été détectés sur cette page et sont en cours de classification.',
+        cookieDetails: 'Détail des cookies',
+        cookieTableHeaders: ['Nom', 'Fournisseur', 'Finalité', 'Durée', 'Type'],
+        cookieTableEmpty: 'Aucun utilisé',
+        cancel: 'Annuler',
+        save: 'Enregistrer mes choix',
+        close: 'Fermer',
+        optOutConfirmation: 'Opposition à la vente/au partage confirmée',
+        placeholderText: '{label} est bloqué par vos paramètres de confidentialité, car il utilise des {category}.',
+        placeholderEnable: 'Activer les {category}',
+        placeholderLabel: 'Ce contenu',
+        placeholderCategories: { analytics: 'cookies analytiques', advertising: 'cookies publicitaires', functional: 'cookies fonctionnels' }
+    },
+    es: {
+        name: 'Español',
+        version: '1',
+        bannerTitle: 'Valoramos su privacidad.',
+        bannerText: 'Este sitio web utiliza cookies y herramientas de análisis para mejorar su experiencia y entender cómo se usa nuestro sitio. Al hacer clic en «Aceptar», usted consiente el uso de cookies y el seguimiento analítico.',
+        learnMore: 'Más información',
+        accept: 'Aceptar',
+        decline: 'Rechazar',
+        customize: 'Personalizar',
+        language: 'Idioma',
+        modalTitle: 'Preferencias de privacidad',
+        modalIntro: 'Utilizamos cookies y tecnologías similares para mejorar su experiencia, analizar el uso del sitio y apoyar nuestras acciones de marketing. Puede gestionar sus preferencias a continuación:',
+        newPurposesIntro: 'Hemos actualizado el uso que hacemos de los datos. Revise las nuevas opciones a continuación; el resto de sus preferencias no cambia.',
+        necessaryTitle: 'Cookies necesarias',
+        necessaryDescription: 'Estas cookies son imprescindibles para que el sitio web funcione correctamente. No se pueden desactivar.',
+        analyticsTitle: 'Cookies analíticas',
+        analyticsDescription: 'Estas cookies nos ayudan a entender cómo interactúan los visitantes con nuestro sitio web recopilando y comunicando información de forma anónima.',
+        advertisingTitle: 'Cookies publicitarias',
+        advertisingDescription: 'Estas cookies se utilizan para que los mensajes publicitarios sean más relevantes para usted y sus intereses.',
+        functionalTitle: 'Cookies funcionales',
+        functionalDescription: 'Estas cookies permiten funciones mejoradas y personalización, como recordar sus preferencias.',
+        unclassifiedTitle: 'Cookies sin clasificar',
+        unclassifiedDescription: 'Estas cookies se han detectado en esta página y aún se están clasificando.',
+        cookieDetails: 'Detalles de las cookies',
+        cookieTableHeaders: ['Nombre', 'Proveedor', 'Finalidad', 'Duración', 'Tipo'],
+        cookieTableEmpty: 'Ninguna en uso',
+        cancel: 'Cancelar',
+        save: 'Guardar preferencias',
+        close: 'Cerrar',
+        optOutConfirmation: 'Exclusión de venta/cesión confirmada',
+        placeholderText: '{label} está bloqueado por su configuración de privacidad porque utiliza {category}.',
+        placeholderEnable: 'Activar {category}',
+        placeholderLabel: 'Este contenido',
+        placeholderCategories: { analytics: 'cookies analíticas', advertising: 'cookies publicitarias', functional: 'cookies funcionales' }
+    },
+    it: {
+        name: 'Italiano',
+        version: '1',
+        bannerTitle: 'La tua privacy è importante per noi.',
+        bannerText: 'Questo sito utilizza cookie e strumenti di analisi per migliorare la tua esperienza e capire come viene utilizzato. Facendo clic su «Accetta», acconsenti all’uso dei cookie e al tracciamento analitico.',
+        learnMore: 'Scopri di più',
+        accept: 'Accetta',
+        decline: 'Rifiuta',
+        customize: 'Personalizza',
+        language: 'Lingua',
+        modalTitle: 'Preferenze sulla privacy',
+        modalIntro: 'Utilizziamo cookie e tecnologie simili per migliorare la tua esperienza, analizzare l’utilizzo del sito e supportare le attività di marketing. Puoi gestire le tue preferenze qui sotto:',
+        newPurposesIntro: 'Abbiamo aggiornato il modo in cui utilizziamo i dati. Controlla le nuove opzioni qui sotto; le altre tue scelte restano invariate.',
+        necessaryTitle: 'Cookie necessari',
+        necessaryDescription: 'Questi cookie sono indispensabili per il corretto funzionamento del sito. Non possono essere disattivati.',
+        analyticsTitle: 'Cookie analitici',
+        analyticsDescription: 'Questi cookie ci aiutano a capire come i visitatori interagiscono con il sito raccogliendo e comunicando informazioni in forma anonima.',
+        advertisingTitle: 'Cookie pubblicitari',
+        advertisingDescription: 'Questi cookie servono a rendere i messaggi pubblicitari più pertinenti per te e i tuoi interessi.',
+        functionalTitle: 'Cookie funzionali',
+        functionalDescription: 'Questi cookie abilitano funzionalità avanzate e la personalizzazione, ad esempio ricordare le tue preferenze.',
+        unclassifiedTitle: 'Cookie non classificati',
+        unclassifiedDescription: 'Questi cookie sono stati rilevati su questa pagina e sono in fase di classificazione.',
+        cookieDetails: 'Dettagli dei cookie',
+        cookieTableHeaders: ['Nome', 'Fornitore', 'Finalità', 'Durata', 'Tipo'],
+        cookieTableEmpty: 'Nessuno in uso',
+        cancel: 'Annulla',
+        save: 'Salva preferenze',
+        close: 'Chiudi',
+        optOutConfirmation: 'Opposizione a vendita/condivisione confermata',
+        placeholderText: '{label} è bloccato dalle tue impostazioni sulla privacy perché utilizza {category}.',
+        placeholderEnable: 'Attiva {category}',
+        placeholderLabel: 'Questo contenuto',
+        placeholderCategories: { analytics: 'cookie analitici', advertising: 'cookie pubblicitari', functional: 'cookie funzionali' }
+    },
+    nl: {
+        name: 'Nederlands',
+        version: '1',
+        bannerTitle: 'Wij hechten waarde aan uw privacy.',
+        bannerText: 'Deze website gebruikt cookies en analysediensten om uw ervaring te verbeteren en te begrijpen hoe onze site wordt gebruikt. Door op „Accepteren” te klikken, stemt u in met het gebruik van cookies en analytische tracking.',
+        learnMore: 'Meer informatie',
+        accept: 'Accepteren',
+        decline: 'Weigeren',
+        customize: 'Aanpassen',
+        language: 'Taal',
+        modalTitle: 'Privacyvoorkeuren',
+        modalIntro: 'Wij gebruiken cookies en vergelijkbare technieken om uw ervaring te verbeteren, het gebruik van de site te analyseren en onze marketing te ondersteunen. U kunt uw voorkeuren hieronder beheren:',
+        newPurposesIntro: 'We hebben aangepast hoe we gegevens gebruiken. Bekijk hieronder de nieuwe opties; uw andere keuzes blijven ongewijzigd.',
+        necessaryTitle: 'Noodzakelijke cookies',
+        necessaryDescription: 'Deze cookies zijn nodig om de website goed te laten werken. Ze kunnen niet worden uitgeschakeld.',
+        analyticsTitle: 'Analytische cookies',
+        analyticsDescription: 'Deze cookies helpen ons te begrijpen hoe bezoekers onze website gebruiken door anoniem informatie te verzamelen en te rapporteren.',
+        advertisingTitle: 'Advertentiecookies',
+        advertisingDescription: 'Deze cookies worden gebruikt om advertenties beter af te stemmen op u en uw interesses.',
+        functionalTitle: 'Functionele cookies',
+        functionalDescription: 'Deze cookies maken uitgebreide functies en personalisatie mogelijk, zoals het onthouden van uw voorkeuren.',
+        unclassifiedTitle: 'Niet-geclassificeerde cookies',
+        unclassifiedDescription: 'Deze cookies zijn op deze pagina gevonden en worden nog geclassificeerd.',
+        cookieDetails: 'Cookiedetails',
+        cookieTableHeaders: ['Naam', 'Aanbieder', 'Doel', 'Bewaartermijn', 'Type'],
+        cookieTableEmpty: 'Geen in gebruik',
+        cancel: 'Annuleren',
+        save: 'Voorkeuren opslaan',
+        close: 'Sluiten',
+        optOutConfirmation: 'Bezwaar tegen verkoop/delen bevestigd',
+        placeholderText: '{label} wordt door uw privacyinstellingen geblokkeerd omdat er {category} voor nodig zijn.',
+        placeholderEnable: 'Sta {category} toe',
+        placeholderLabel: 'Deze inhoud',
+        placeholderCategories: { analytics: 'analytische cookies', advertising: 'advertentiecookies', functional: 'functionele cookies' }
+    },
+    pl: {
+        name: 'Polski',
+        version: '1',
+        bannerTitle: 'Szanujemy Twoją prywatność.',
+        bannerText: 'Ta strona używa plików cookie i narzędzi analitycznych, aby ulepszać Twoje doświadczenia i zrozumieć, jak korzystasz z naszej witryny. Klikając „Akceptuję”, wyrażasz zgodę na używanie plików cookie i śledzenie analityczne.',
+        learnMore: 'Dowiedz się więcej',
+        accept: 'Akceptuję',
+        decline: 'Odrzucam',
+        customize: 'Dostosuj',
+        language: 'Język',
+        modalTitle: 'Ustawienia prywatności',
+        modalIntro: 'Używamy plików cookie i podobnych technologii, aby ulepszać Twoje doświadczenia, analizować korzystanie z witryny i wspierać działania marketingowe. Poniżej możesz zarządzać swoimi ustawieniami:',
+        newPurposesIntro: 'Zaktualizowaliśmy sposób korzystania z danych. Zapoznaj się z nowymi opcjami poniżej; pozostałe ustawienia pozostają bez zmian.',
+        necessaryTitle: 'Niezbędne pliki cookie',
+        necessaryDescription: 'Te pliki cookie są niezbędne do prawidłowego działania witryny. Nie można ich wyłączyć.',
+        analyticsTitle: 'Analityczne pliki cookie',
+        analyticsDescription: 'Te pliki cookie pomagają nam zrozumieć, jak odwiedzający korzystają z witryny, zbierając i raportując informacje w sposób anonimowy.',
+        advertisingTitle: 'Reklamowe pliki cookie',
+        advertisingDescription: 'Te pliki cookie służą do lepszego dopasowania reklam do Ciebie i Twoich zainteresowań.',
+        functionalTitle: 'Funkcjonalne pliki cookie',
+        functionalDescription: 'Te pliki cookie umożliwiają rozszerzone funkcje i personalizację, na przykład zapamiętywanie Twoich ustawień.',
+        unclassifiedTitle: 'Niesklasyfikowane pliki cookie',
+        unclassifiedDescription: 'Te pliki cookie wykryto na tej stronie i są jeszcze klasyfikowane.',
+        cookieDetails: 'Szczegóły plików cookie',
+        cookieTableHeaders: ['Nazwa', 'Dostawca', 'Cel', 'Okres przechowywania', 'Typ'],
+        cookieTableEmpty: 'Brak',
+        cancel: 'Anuluj',
+        save: 'Zapisz ustawienia',
+        close: 'Zamknij',
+        optOutConfirmation: 'Sprzeciw wobec sprzedaży/udostępniania potwierdzony',
+        placeholderText: '{label} jest niedostępna z powodu Twoich ustawień prywatności. Wymagana zgoda: {category}.',
+        placeholderEnable: 'Zezwól: {category}',
+        placeholderLabel: 'Ta treść',
+        placeholderCategories: { analytics: 'pliki cookie analityczne', advertising: 'pliki cookie reklamowe', functional: 'pliki cookie funkcjonalne' }
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONSENT_LOCALES;
+}
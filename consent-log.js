@@ -0,0 +1,144 @@
+/**
+ * Consent Audit Log
+ * Append-only, client-side history of consent decisions (GDPR Art. 7 proof of consent),
+ * optionally POSTed to a receipt endpoint. Records are never modified; past `maxEntries` the
+ * oldest delivered ones are compacted away, but never a record still waiting for the endpoint
+ * nor the latest record of each action
+ */
+
+class ConsentLog {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'motel_consent_log',
+            // Optional endpoint receiving each record as JSON
+            endpoint: null,
+            // Past this count the oldest delivered records are compacted away (see compact()) to stay
+            // within the localStorage quota; undelivered records can take the log beyond it
+            maxEntries: 200,
+            ...options
+        };
+
+        this.log = this.load();
+        this.retryPending();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            if (stored && stored.consentId && Array.isArray(stored.entries)) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load consent log:', error);
+        }
+
+        return { consentId: this.generateId(), entries: [] };
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.log));
+        } catch (error) {
+            console.warn('Failed to save consent log:', error);
+        }
+    }
+
+    // Pseudonymous id shared by every record from this browser; contains no personal data
+    get consentId() {
+        return this.log.consentId;
+    }
+
+    getEntries() {
+        return this.log.entries.map(entry => ({ ...entry }));
+    }
+
+    // Append a record; existing records are never modified apart from their delivery flag
+    append(record) {
+        const entry = {
+            recordId: this.generateId(),
+            consentId: this.consentId,
+            timestamp: new Date().toISOString(),
+            ...record,
+            delivered: !this.options.endpoint
+        };
+
+        this.log.entries.push(entry);
+        this.compact();
+        this.persist();
+        this.send(entry);
+
+        return entry;
+    }
+
+    async send(entry) {
+        if (!this.options.endpoint || typeof fetch !== 'function') return;
+
+        const { delivered, ...body } = entry;
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                credentials: 'same-origin',
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            entry.delivered = true;
+            this.compact();
+            this.persist();
+        } catch (error) {
+            // Left undelivered; retried on the next page load
+            console.warn('Failed to send consent record:', error);
+        }
+    }
+
+    // Drop the oldest records beyond maxEntries that are safe to lose: delivered to the endpoint
+    // (or kept locally only) and superseded by a later record of the same action
+    compact() {
+        let excess = this.log.entries.length - this.options.maxEntries;
+        if (excess <= 0) return;
+
+        const latest = new Map();
+        this.log.entries.forEach(entry => latest.set(entry.action, entry));
+        const kept = new Set(latest.values());
+
+        this.log.entries = this.log.entries.filter(entry => {
+            if (excess === 0 || !entry.delivered || kept.has(entry)) return true;
+            excess--;
+            return false;
+        });
+    }
+
+    retryPending() {
+        this.log.entries.filter(entry => !entry.delivered).forEach(entry => this.send(entry));
+    }
+
+    generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // FNV-1a hash of the notice text, recorded so the exact wording shown can be proven later
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+        for (let i = 0; i < normalized.length; i++) {
+            hash ^= normalized.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentLog;
+}
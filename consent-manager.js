@@ -1,42 +1,168 @@
 /**
  * EEA-Compliant Consent Management System
  * Handles cookie consent, privacy preferences, and GTM integration
+ * Requires region-resolver.js (RegionResolver, EEA_COUNTRIES, UK_COUNTRIES), consent-log.js (ConsentLog),
+ * cookie-scanner.js (CookieScanner) and consent-locales.js (CONSENT_LOCALES) to be loaded first
  */
 
+// Consent Mode v2 signals that are denied until the visitor opts in
+const DENIED_CONSENT = {
+    analytics_storage: 'denied',
+    ad_storage: 'denied',
+    ad_user_data: 'denied',
+    ad_personalization: 'denied',
+    functionality_storage: 'denied',
+    personalization_storage: 'denied',
+    security_storage: 'granted'
+};
+
+// Modal categories as Kantara consent receipt purposes
+const RECEIPT_PURPOSES = {
+    necessary: {
+        purpose: 'Operate the website and remember privacy choices',
+        piiCategory: ['Online identifiers'],
+        primaryPurpose: true,
+        thirdPartyDisclosure: false
+    },
+    analytics: {
+        purpose: 'Measure site usage with Google Analytics',
+        piiCategory: ['Online identifiers', 'Device and browser information', 'Usage data'],
+        primaryPurpose: false,
+        thirdPartyDisclosure: true,
+        thirdPartyName: 'Google LLC'
+    },
+    advertising: {
+        purpose: 'Personalize and measure advertising',
+        piiCategory: ['Online identifiers', 'Device and browser information', 'Usage data'],
+        primaryPurpose: false,
+        thirdPartyDisclosure: true,
+        thirdPartyName: 'Advertising partners listed in the Cookie Policy'
+    },
+    functional: {
+        purpose: 'Remember preferences and personalize content',
+        piiCategory: ['Online identifiers', 'Preferences'],
+        primaryPurpose: false,
+        thirdPartyDisclosure: false
+    }
+};
+
+// Format of records shared through the consent cookie and the sync hub
+const SHARED_RECORD_SCHEMA = 1;
+const SHARED_RECORD_FIELDS = [
+    'consentGiven', 'necessary', 'analytics', 'advertising', 'functional',
+    'saleOptOut', 'optOutSource', 'gpc', 'version', 'locale', 'textVersion', 'timestamp'
+];
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 class ConsentManager {
     constructor(options = {}) {
+        const defaultConsent = {
+            ...DENIED_CONSENT,
+            functionality_storage: 'granted'
+        };
+        
         this.options = {
             storageKey: 'motel_consent_preferences',
             consentVersion: '1.0',
-            defaultConsent: {
-                analytics_storage: 'denied',
-                ad_storage: 'denied',
-                functionality_storage: 'granted',
-                security_storage: 'granted'
-            },
+            // Applies wherever no regionDefaults entry matches
+            defaultConsent,
+            // Region-scoped defaults (ISO 3166-1/2 codes); EEA and UK visitors default to denied
+            regionDefaults: [
+                { region: [...EEA_COUNTRIES, ...UK_COUNTRIES], consent: DENIED_CONSENT }
+            ],
+            waitForUpdate: 500,
+            // RegionResolver instance; one using the timezone heuristic is created when omitted
+            regionResolver: null,
+            // Jurisdictions where nothing non-essential runs before an explicit choice
+            optInJurisdictions: ['EEA', 'UK', 'CH', 'unknown'],
+            urlPassthrough: false,
+            adsDataRedaction: true,
             bannerDelay: 1000,
             autoShowBanner: true,
+            // Treat navigator.globalPrivacyControl as an opt-out of sale/sharing
+            honorGlobalPrivacyControl: true,
+            // Overrides the locale bundle's optOutConfirmation text
+            optOutConfirmationText: null,
+            // Consent UI language; null picks from navigator.languages (the switcher choice is remembered)
+            locale: null,
+            defaultLocale: 'en',
+            // Extra or overriding translation bundles, e.g. { de: { bannerTitle: '...' } }
+            locales: {},
+            localeStorageKey: 'motel_consent_locale',
+            cookiePolicyUrl: 'cookie-policy.html',
+            // Also keep the choice in a first-party cookie on the registrable domain (shared by subdomains)
+            shareAcrossSubdomains: false,
+            sharedCookieName: 'motel_consent',
+            // null detects the registrable domain, e.g. motel2.com for book.motel2.com
+            sharedCookieDomain: null,
+            sharedCookieMaxAge: 395 * 24 * 60 * 60,
+            // Days a stored decision stays valid before the visitor is asked again (null: never expires)
+            consentMaxAge: { accepted: 395, custom: 395, declined: 180 },
+            // Upgrades between consent versions, applied in a chain up to consentVersion:
+            // [{ from: '1.0', to: '1.1', keep: ['analytics', 'functional'], ask: ['advertising'], migrate(preferences) {} }]
+            migrations: [],
+            // Optional endpoint receiving each consent record (see consent-log.js)
+            receiptEndpoint: null,
+            // Data controller named in consent receipts: { name, email, phone, address, url }
+            controller: {},
+            privacyPolicyUrl: null,
+            // Site-specific cookie catalog entries (see cookie-scanner.js)
+            cookieCatalog: [],
             ...options
         };
         
+        // Partial overrides keep the remaining v2 signals
+        this.options.defaultConsent = {
+            ...defaultConsent,
+            ...options.defaultConsent
+        };
+        this.options.consentMaxAge = options.consentMaxAge === null ? null : {
+            accepted: 395,
+            custom: 395,
+            declined: 180,
+            ...options.consentMaxAge
+        };
+        
         this.consentGiven = false;
         this.preferences = null;
         this.bannerShown = false;
+        // Time of the last revocation, shared so other subdomains/properties drop their copy
+        this.revokedAt = null;
+        // Categories added by a version migration that still need an answer
+        this.pendingCategories = null;
+        this.modalCategories = null;
+        this.regionResolver = this.options.regionResolver || new RegionResolver();
+        this.consentLog = new ConsentLog({ endpoint: this.options.receiptEndpoint });
+        this.cookieScanner = new CookieScanner({ catalog: this.options.cookieCatalog });
+        this.locales = this.mergeLocales();
+        this.locale = this.resolveLocale();
         
         this.init();
     }
     
     init() {
         this.loadStoredPreferences();
+        this.expireStoredConsent();
+        this.migrateStoredConsent();
+        this.injectStyles();
+        this.renderBanner();
         this.setDefaultConsent();
+        this.applyGlobalPrivacyControl();
         
         if (this.shouldShowBanner()) {
             this.showConsentBanner();
         } else {
             this.applyStoredConsent();
+            this.askPendingCategories();
         }
         
         this.setupEventListeners();
+        this.renderCookieDeclarations();
     }
     
     // Check if we need to show the consent banner
@@ -48,52 +174,297 @@ class ConsentManager {
             return true;
         }
         
-        // Show banner if in EEA region (simplified check)
-        if (this.isEEARegion()) {
+        // Re-ask when the wording the visitor agreed to has been revised
+        const { locale, textVersion } = this.preferences;
+        if (locale && textVersion && this.locales[locale] && this.locales[locale].version !== textVersion) {
+            return true;
+        }
+        
+        // Where opt-in consent is required, a stored sale/sharing opt-out is not a choice
+        if (this.requiresOptInConsent()) {
             return !this.preferences.consentGiven;
         }
         
         return false;
     }
     
-    // Simplified EEA region detection
+    // 'accepted', 'declined' (no analytics or advertising) or 'custom'
+    getDecisionType(preferences) {
+        if (preferences.analytics && preferences.advertising && preferences.functional) return 'accepted';
+        if (!preferences.analytics && !preferences.advertising) return 'declined';
+        return 'custom';
+    }
+    
+    isExpired(preferences) {
+        if (!preferences.consentGiven || !preferences.timestamp || !this.options.consentMaxAge) return false;
+        
+        const maxAgeDays = this.options.consentMaxAge[this.getDecisionType(preferences)];
+        return Boolean(maxAgeDays) && Date.now() - preferences.timestamp >= maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+    
+    // Drop a decision older than its max age so the banner asks again
+    expireStoredConsent() {
+        const preferences = this.preferences;
+        if (!preferences || !this.isExpired(preferences)) return false;
+        
+        this.clearStoredPreferences();
+        // Expiry is not broadcast as a revocation: a newer decision made on a sister property stays
+        // adoptable, while shared copies of this record are no newer than it (and expired themselves)
+        this.revokedAt = preferences.timestamp;
+        
+        // A sale/sharing opt-out is not consent and does not expire
+        if (preferences.saleOptOut) {
+            this.savePreferences({
+                consentGiven: false,
+                necessary: true,
+                advertising: false,
+                saleOptOut: true,
+                optOutSource: preferences.optOutSource,
+                gpc: this.hasGlobalPrivacyControl()
+            });
+        }
+        
+        this.recordConsent('expire', 'system');
+        this.trackConsentEvent('consent_expired', {
+            decision_type: this.getDecisionType(preferences),
+            consent_age_days: Math.floor((Date.now() - preferences.timestamp) / (24 * 60 * 60 * 1000))
+        });
+        return true;
+    }
+    
+    // Bring a decision from an older consentVersion up to date through the configured migrations.
+    // Unmigrated accepts are asked again in full; a decline stays valid because new purposes default to denied
+    migrateStoredConsent() {
+        let preferences = this.preferences;
+        if (!preferences || !preferences.consentGiven) return;
+        
+        const fromVersion = preferences.version;
+        const ask = new Set();
+        const seen = new Set();
+        
+        while (preferences.version !== this.options.consentVersion && !seen.has(preferences.version)) {
+            seen.add(preferences.version);
+            const migration = this.options.migrations.find(entry => entry.from === preferences.version);
+            if (!migration) break;
+            
+            preferences = this.runMigration(migration, preferences);
+            (migration.ask || []).forEach(category => ask.add(category));
+        }
+        
+        const bundle = this.locales[preferences.locale];
+        const textChanged = Boolean(preferences.textVersion && bundle && bundle.version !== preferences.textVersion);
+        
+        if (preferences.version !== this.options.consentVersion || textChanged) {
+            if (this.getDecisionType(preferences) !== 'declined') return;
+            
+            preferences = {
+                ...preferences,
+                version: this.options.consentVersion,
+                textVersion: bundle ? bundle.version : preferences.textVersion
+            };
+        }
+        
+        if (preferences === this.preferences) return;
+        
+        // The original timestamp is kept so expiry still counts from the visitor's decision
+        this.storePreferences(preferences);
+        this.writeSharedCookie();
+        this.pendingCategories = ask.size ? Array.from(ask) : null;
+        
+        this.recordConsent('migrate', 'system');
+        this.trackConsentEvent('consent_migrated', {
+            from_version: fromVersion,
+            to_version: this.options.consentVersion,
+            ask_categories: Array.from(ask).join(',')
+        });
+    }
+    
+    runMigration(migration, preferences) {
+        let migrated = { ...preferences };
+        
+        if (migration.keep) {
+            ['analytics', 'advertising', 'functional'].forEach(category => {
+                if (!migration.keep.includes(category)) {
+                    migrated[category] = false;
+                }
+            });
+        }
+        (migration.ask || []).forEach(category => {
+            migrated[category] = false;
+        });
+        
+        if (typeof migration.migrate === 'function') {
+            migrated = migration.migrate(migrated) || migrated;
+        }
+        
+        return { ...migrated, version: migration.to };
+    }
+    
+    // After a migration, ask only about the newly added categories
+    askPendingCategories() {
+        if (!this.pendingCategories || !this.options.autoShowBanner) return;
+        
+        const categories = this.pendingCategories;
+        this.pendingCategories = null;
+        setTimeout(() => this.showPreferences(categories), this.options.bannerDelay);
+    }
+    
+    // Built-in bundles merged with site overrides; missing strings fall back to English
+    mergeLocales() {
+        const locales = {};
+        const codes = new Set([...Object.keys(CONSENT_LOCALES), ...Object.keys(this.options.locales)]);
+        
+        codes.forEach(code => {
+            locales[code] = {
+                ...CONSENT_LOCALES.en,
+                ...CONSENT_LOCALES[code],
+                ...this.options.locales[code]
+            };
+        });
+        
+        return locales;
+    }
+    
+    // Remembered switcher choice, then the configured locale, then navigator.languages
+    resolveLocale() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.options.localeStorageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+        
+        const preferred = [stored, this.options.locale, ...(navigator.languages || [navigator.language])];
+        for (const language of preferred) {
+            const code = language && language.toLowerCase().split('-')[0];
+            if (code && this.locales[code]) {
+                return code;
+            }
+        }
+        
+        return this.options.defaultLocale;
+    }
+    
+    // Language switcher: re-render the banner and any open modal in the new language
+    setLocale(locale) {
+        if (!this.locales[locale] || locale === this.locale) return;
+        
+        this.locale = locale;
+        try {
+            localStorage.setItem(this.options.localeStorageKey, locale);
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this page
+        }
+        
+        const banner = document.getElementById('consentBanner');
+        const bannerFocused = banner && banner.contains(document.activeElement);
+        
+        this.renderBanner();
+        this.renderCookieDeclarations();
+        this.refreshOptOutLinks();
+        
+        if (bannerFocused) {
+            banner.querySelector('.consent-language-select')?.focus();
+        }
+        
+        if (document.getElementById('consentPreferencesModal')) {
+            this.createPreferencesModal(this.readToggles());
+            document.querySelector('#consentPreferencesModal .consent-language-select')?.focus();
+        }
+        
+        window.dispatchEvent(new CustomEvent('motel:localechange', {
+            detail: { locale }
+        }));
+        this.trackConsentEvent('consent_language_changed', { consent_language: locale });
+    }
+    
+    getLocale() {
+        return this.locale;
+    }
+    
+    translate(key) {
+        const value = this.locales[this.locale][key];
+        return value === undefined ? key : value;
+    }
+    
+    // Translated text escaped for HTML templates
+    t(key) {
+        return escapeHtml(this.translate(key));
+    }
+    
+    // Resolved country and jurisdiction, e.g. { country: 'FR', jurisdiction: 'EEA' }
+    getRegion() {
+        return this.regionResolver.resolveSync();
+    }
+    
     isEEARegion() {
-        // In a real implementation, you would use a proper geolocation service
-        // This is a simplified check based on timezone and language
-        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-        const language = navigator.language.toLowerCase();
-        
-        const eeaTimezones = [
-            'europe/london', 'europe/paris', 'europe/berlin', 'europe/rome',
-            'europe/madrid', 'europe/amsterdam', 'europe/brussels', 'europe/vienna',
-            'europe/stockholm', 'europe/copenhagen', 'europe/helsinki', 'europe/oslo',
-            'europe/dublin', 'europe/lisbon', 'europe/athens', 'europe/warsaw',
-            'europe/prague', 'europe/budapest', 'europe/bucharest', 'europe/sofia',
-            'europe/zagreb', 'europe/ljubljana', 'europe/bratislava', 'europe/vilnius',
-            'europe/riga', 'europe/tallinn', 'europe/malta', 'europe/nicosia'
-        ];
-        
-        const eeaLanguages = [
-            'en-gb', 'fr', 'de', 'it', 'es', 'nl', 'pt', 'el', 'pl', 'cs',
-            'hu', 'ro', 'bg', 'hr', 'sl', 'sk', 'lt', 'lv', 'et', 'mt', 'fi',
-            'sv', 'da', 'no'
-        ];
-        
-        return eeaTimezones.includes(timezone.toLowerCase()) || 
-               eeaLanguages.some(lang => language.startsWith(lang));
+        return this.getRegion().jurisdiction === 'EEA';
+    }
+    
+    requiresOptInConsent() {
+        return this.options.optInJurisdictions.includes(this.getRegion().jurisdiction);
+    }
+    
+    // Whether tags in a modal category may run (necessary always may)
+    isCategoryGranted(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.consentGiven && this.preferences && this.preferences[category]);
+    }
+    
+    // Default for the visitor's resolved country, falling back to defaultConsent
+    getRegionDefaultConsent() {
+        const { country, region } = this.getRegion();
+        const codes = [country && region ? `${country}-${region}` : null, country].filter(Boolean);
+        
+        for (const code of codes) {
+            const match = this.options.regionDefaults.find(entry => entry.region.includes(code));
+            if (match) {
+                return { ...this.options.defaultConsent, ...match.consent };
+            }
+        }
+        
+        return this.options.defaultConsent;
     }
     
     // Set default consent state in GTM
     setDefaultConsent() {
         if (typeof gtag === 'function') {
             gtag('consent', 'default', {
-                ...this.options.defaultConsent,
-                wait_for_update: 500
+                ...this.getRegionDefaultConsent(),
+                wait_for_update: this.options.waitForUpdate
+            });
+            
+            // GTM applies the most specific matching region regardless of command order
+            this.options.regionDefaults.forEach(({ region, consent }) => {
+                gtag('consent', 'default', {
+                    ...this.options.defaultConsent,
+                    ...consent,
+                    region,
+                    wait_for_update: this.options.waitForUpdate
+                });
             });
+            
+            gtag('set', 'url_passthrough', this.options.urlPassthrough);
+            gtag('set', 'ads_data_redaction', this.options.adsDataRedaction);
         }
     }
     
-    // Load stored consent preferences
+    // Map modal categories to Consent Mode v2 signals
+    getConsentSignals(preferences) {
+        const state = (granted) => granted ? 'granted' : 'denied';
+        
+        return {
+            analytics_storage: state(preferences.analytics),
+            ad_storage: state(preferences.advertising),
+            ad_user_data: state(preferences.advertising),
+            ad_personalization: state(preferences.advertising),
+            functionality_storage: state(preferences.functional),
+            personalization_storage: state(preferences.functional),
+            security_storage: 'granted'
+        };
+    }
+    
+    // Load stored consent preferences; with a shared cookie the newest record wins
     loadStoredPreferences() {
         try {
             const stored = localStorage.getItem(this.options.storageKey);
@@ -104,15 +475,30 @@ class ConsentManager {
             console.warn('Failed to load consent preferences:', error);
             this.preferences = null;
         }
+        
+        const shared = this.options.shareAcrossSubdomains ? this.readSharedCookie() : null;
+        if (shared && shared.timestamp > (this.preferences?.timestamp || 0)) {
+            this.adoptSharedRecord(shared);
+        }
     }
     
-    // Save consent preferences to storage
+    // Save consent preferences to storage. A record without a consent choice (a sale/sharing
+    // opt-out on its own) gets no consentVersion, so the banner keeps asking for one in every region
     savePreferences(preferences) {
+        this.storePreferences({
+            ...preferences,
+            version: preferences.consentGiven ? this.options.consentVersion : undefined,
+            locale: this.locale,
+            textVersion: this.locales[this.locale].version,
+            timestamp: Date.now()
+        });
+        this.writeSharedCookie();
+    }
+    
+    storePreferences(preferences) {
         try {
             const toStore = {
                 ...preferences,
-                version: this.options.consentVersion,
-                timestamp: Date.now(),
                 userAgent: navigator.userAgent,
                 domain: window.location.hostname
             };
@@ -124,19 +510,129 @@ class ConsentManager {
         }
     }
     
+    clearStoredPreferences() {
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear consent preferences:', error);
+        }
+        this.preferences = null;
+    }
+    
+    // Record shared with other subdomains and properties: an explicit choice or a revocation, never defaults
+    getSharedRecord() {
+        if (!this.preferences) {
+            return this.revokedAt ? { schema: SHARED_RECORD_SCHEMA, revoked: true, timestamp: this.revokedAt } : null;
+        }
+        if (!this.preferences.consentGiven) return null;
+        
+        const record = { schema: SHARED_RECORD_SCHEMA };
+        SHARED_RECORD_FIELDS.forEach(field => {
+            if (this.preferences[field] !== undefined) {
+                record[field] = this.preferences[field];
+            }
+        });
+        return record;
+    }
+    
+    // Replace local state with a newer shared record (no events; callers apply it)
+    adoptSharedRecord(record) {
+        if (record.revoked) {
+            this.clearStoredPreferences();
+            this.revokedAt = record.timestamp;
+            return;
+        }
+        
+        // Keeps the record's own version and timestamp so conflicts resolve the same way everywhere;
+        // a local sale/sharing opt-out stays in force
+        const { schema, ...preferences } = record;
+        this.storePreferences(this.applyOptOuts(preferences));
+    }
+    
+    // Apply a record from another subdomain or property (e.g. the sync hub) if it is newer
+    applySharedRecord(record, source) {
+        if (!record || record.schema !== SHARED_RECORD_SCHEMA || !record.timestamp) return false;
+        if (!record.revoked && this.isExpired(record)) return false;
+        
+        // A local sale/sharing opt-out on its own (e.g. kept after expiry) is not a decision to defend
+        const localDecision = this.preferences && this.preferences.consentGiven ? this.preferences.timestamp : 0;
+        const localTimestamp = Math.max(localDecision || 0, this.revokedAt || 0);
+        if (record.timestamp <= localTimestamp) return false;
+        
+        this.adoptSharedRecord(record);
+        
+        if (record.revoked) {
+            this.consentGiven = false;
+            this.setDefaultConsent();
+            this.notifyConsentChange('sync');
+            this.showConsentBanner();
+        } else if (!this.shouldShowBanner()) {
+            this.preferences = this.applyOptOuts(this.preferences);
+            this.updateGTMConsent(this.preferences);
+            this.hideConsentBanner();
+            this.consentGiven = true;
+            this.notifyConsentChange('sync');
+        }
+        
+        this.recordConsent('sync', source);
+        this.trackConsentEvent('consent_synced', { sync_source: source });
+        return true;
+    }
+    
+    readSharedCookie() {
+        const prefix = this.options.sharedCookieName + '=';
+        const cookie = document.cookie.split('; ').find(entry => entry.startsWith(prefix));
+        if (!cookie) return null;
+        
+        try {
+            const record = JSON.parse(decodeURIComponent(cookie.substring(prefix.length)));
+            return record && record.schema === SHARED_RECORD_SCHEMA && record.timestamp ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    writeSharedCookie() {
+        if (!this.options.shareAcrossSubdomains) return;
+        
+        const record = this.getSharedRecord();
+        if (!record) return;
+        
+        const domain = this.getSharedCookieDomain();
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${this.options.sharedCookieName}=${encodeURIComponent(JSON.stringify(record))}` +
+            `; path=/; max-age=${this.options.sharedCookieMaxAge}; SameSite=Lax${secure}` +
+            (domain ? `; domain=.${domain}` : '');
+    }
+    
+    // Highest domain that accepts a cookie, i.e. the registrable domain (null for hosts like localhost)
+    getSharedCookieDomain() {
+        if (this.options.sharedCookieDomain) return this.options.sharedCookieDomain;
+        if (this.sharedCookieDomain !== undefined) return this.sharedCookieDomain;
+        
+        const parts = window.location.hostname.split('.');
+        this.sharedCookieDomain = null;
+        
+        for (let i = parts.length - 2; i >= 0; i--) {
+            const domain = parts.slice(i).join('.');
+            document.cookie = `motel_domain_probe=1; path=/; domain=.${domain}`;
+            if (document.cookie.split('; ').includes('motel_domain_probe=1')) {
+                document.cookie = `motel_domain_probe=; path=/; domain=.${domain}; expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+                this.sharedCookieDomain = domain;
+                break;
+            }
+        }
+        
+        return this.sharedCookieDomain;
+    }
+    
     // Apply stored consent to GTM
     applyStoredConsent() {
         if (this.preferences && this.preferences.consentGiven) {
-            const consentUpdate = {
-                analytics_storage: this.preferences.analytics ? 'granted' : 'denied',
-                ad_storage: this.preferences.advertising ? 'granted' : 'denied'
-            };
-            
-            if (typeof gtag === 'function') {
-                gtag('consent', 'update', consentUpdate);
-            }
+            this.updateGTMConsent(this.preferences);
             
             this.consentGiven = true;
+            this.notifyConsentChange('restore');
             this.trackConsentEvent('consent_restored', this.preferences);
         }
     }
@@ -150,6 +646,8 @@ class ConsentManager {
             if (banner) {
                 banner.style.display = 'block';
                 this.bannerShown = true;
+                this.announce(this.translate('bannerTitle'));
+                window.dispatchEvent(new CustomEvent('motel:consentbannershown'));
                 this.trackConsentEvent('consent_banner_shown');
             }
         }, this.options.bannerDelay);
@@ -161,135 +659,317 @@ class ConsentManager {
         if (banner) {
             banner.style.display = 'none';
         }
+        this.bannerShown = false;
+    }
+    
+    // Screen reader announcement through a polite live region
+    announce(message) {
+        let region = document.getElementById('consentAnnouncer');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'consentAnnouncer';
+            region.className = 'consent-visually-hidden';
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(region);
+        }
+        
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
     }
     
     // Accept all cookies
     acceptAll() {
-        const preferences = {
+        const preferences = this.applyOptOuts({
             consentGiven: true,
             analytics: true,
             advertising: true,
             functional: true,
             necessary: true
-        };
+        });
         
         this.savePreferences(preferences);
         this.updateGTMConsent(preferences);
         this.hideConsentBanner();
         this.consentGiven = true;
+        this.notifyConsentChange('accept_all');
+        this.recordConsent('accept_all');
         
         this.trackConsentEvent('consent_accepted_all', preferences);
     }
     
     // Decline all non-necessary cookies
     declineAll() {
-        const preferences = {
+        const preferences = this.applyOptOuts({
             consentGiven: true,
             analytics: false,
             advertising: false,
             functional: true,
             necessary: true
-        };
+        });
         
         this.savePreferences(preferences);
         this.updateGTMConsent(preferences);
         this.hideConsentBanner();
         this.consentGiven = true;
+        this.notifyConsentChange('decline_all');
+        this.recordConsent('decline_all');
         
         this.trackConsentEvent('consent_declined_all', preferences);
     }
     
-    // Show detailed preferences modal
-    showPreferences() {
+    // Show detailed preferences modal; `categories` limits it to those (e.g. purposes added by a migration)
+    showPreferences(categories = null) {
+        // Focus returns here when the modal closes
+        this.modalOpener = document.activeElement;
+        this.modalCategories = Array.isArray(categories) ? categories : null;
         this.createPreferencesModal();
+        document.getElementById('consentModalTitle')?.focus();
         this.trackConsentEvent('consent_preferences_opened');
     }
     
     // Update GTM consent based on preferences
     updateGTMConsent(preferences) {
         if (typeof gtag === 'function') {
-            gtag('consent', 'update', {
-                analytics_storage: preferences.analytics ? 'granted' : 'denied',
-                ad_storage: preferences.advertising ? 'granted' : 'denied'
-            });
+            gtag('consent', 'update', this.getConsentSignals(preferences));
         }
     }
     
     // Create detailed preferences modal
-    createPreferencesModal() {
+    createPreferencesModal(toggles = {}) {
         // Remove existing modal if present
         const existingModal = document.getElementById('consentPreferencesModal');
         if (existingModal) {
             existingModal.remove();
         }
         
+        const checked = (category, fallback) => (toggles[category] ?? fallback) ? 'checked' : '';
+        const shown = (name) => !this.modalCategories || this.modalCategories.includes(name);
+        // Switches are named by the category title and described by its explanation
+        const toggle = (name, attributes) => `<input type="checkbox" role="switch" ${attributes} aria-labelledby="consent-${name}-title" aria-describedby="consent-${name}-description">`;
+        const category = (name, input) => !shown(name) ? '' : `
+                        <div class="consent-category">
+                            <div class="consent-category-header">
+                                <h3 id="consent-${name}-title">${this.t(name + 'Title')}</h3>
+                                <label class="consent-toggle">
+                                    ${input}
+                                    <span class="consent-slider" aria-hidden="true"></span>
+                                </label>
+                            </div>
+                            <p id="consent-${name}-description">${this.t(name + 'Description')}</p>
+                            <details class="consent-cookie-details">
+                                <summary>${this.t('cookieDetails')}</summary>
+                                <div class="consent-cookie-table" data-category="${name}"></div>
+                            </details>
+                        </div>`;
+        
         const modal = document.createElement('div');
         modal.id = 'consentPreferencesModal';
+        modal.lang = this.locale;
         modal.innerHTML = `
             <div class="consent-modal-overlay">
-                <div class="consent-modal">
+                <div class="consent-modal" role="dialog" aria-modal="true" aria-labelledby="consentModalTitle" aria-describedby="consentModalIntro">
                     <div class="consent-modal-header">
-                        <h2>Privacy Preferences</h2>
-                        <button class="consent-modal-close" onclick="consentManager.closePreferences()">&times;</button>
+                        <h2 id="consentModalTitle" tabindex="-1">${this.t('modalTitle')}</h2>
+                        ${this.renderLanguageSwitcher()}
+                        <button type="button" class="consent-modal-close" aria-label="${this.t('close')}">&times;</button>
                     </div>
                     <div class="consent-modal-body">
-                        <p>We use cookies and similar technologies to enhance your experience, analyze site usage, and assist in marketing efforts. You can manage your preferences below:</p>
-                        
-                        <div class="consent-category">
-                            <div class="consent-category-header">
-                                <h3>Necessary Cookies</h3>
-                                <label class="consent-toggle">
-                                    <input type="checkbox" checked disabled>
-                                    <span class="consent-slider"></span>
-                                </label>
-                            </div>
-                            <p>These cookies are essential for the website to function properly. They cannot be disabled.</p>
-                        </div>
-                        
-                        <div class="consent-category">
-                            <div class="consent-category-header">
-                                <h3>Analytics Cookies</h3>
-                                <label class="consent-toggle">
-                                    <input type="checkbox" id="analyticsToggle" ${this.preferences?.analytics ? 'checked' : ''}>
-                                    <span class="consent-slider"></span>
-                                </label>
-                            </div>
-                            <p>These cookies help us understand how visitors interact with our website by collecting and reporting information anonymously.</p>
-                        </div>
-                        
-                        <div class="consent-category">
-                            <div class="consent-category-header">
-                                <h3>Advertising Cookies</h3>
-                                <label class="consent-toggle">
-                                    <input type="checkbox" id="advertisingToggle" ${this.preferences?.advertising ? 'checked' : ''}>
-                                    <span class="consent-slider"></span>
-                                </label>
-                            </div>
-                            <p>These cookies are used to make advertising messages more relevant to you and your interests.</p>
-                        </div>
-                        
-                        <div class="consent-category">
-                            <div class="consent-category-header">
-                                <h3>Functional Cookies</h3>
-                                <label class="consent-toggle">
-                                    <input type="checkbox" id="functionalToggle" ${this.preferences?.functional !== false ? 'checked' : ''}>
-                                    <span class="consent-slider"></span>
-                                </label>
-                            </div>
-                            <p>These cookies enable enhanced functionality and personalization, such as remembering your preferences.</p>
-                        </div>
+                        <p id="consentModalIntro">${this.t(this.modalCategories ? 'newPurposesIntro' : 'modalIntro')}</p>
+                        ${category('necessary', toggle('necessary', 'checked disabled'))}
+                        ${category('analytics', toggle('analytics', `id="analyticsToggle" ${checked('analytics', this.preferences?.analytics)}`))}
+                        ${category('advertising', toggle('advertising', `id="advertisingToggle" ${checked('advertising', this.preferences?.advertising)}`))}
+                        ${category('functional', toggle('functional', `id="functionalToggle" ${checked('functional', this.preferences?.functional !== false)}`))}
                     </div>
                     <div class="consent-modal-footer">
-                        <button class="consent-btn consent-btn-secondary" onclick="consentManager.closePreferences()">Cancel</button>
-                        <button class="consent-btn consent-btn-primary" onclick="consentManager.saveDetailedPreferences()">Save Preferences</button>
+                        <button type="button" class="consent-btn consent-btn-secondary consent-modal-cancel">${this.t('cancel')}</button>
+                        <button type="button" class="consent-btn consent-btn-primary consent-modal-save">${this.t('save')}</button>
                     </div>
                 </div>
             </div>
         `;
         
-        // Add modal styles
+        modal.addEventListener('keydown', (e) => this.handleModalKeydown(e, modal));
+        this.renderCookieTables(modal);
+        document.body.appendChild(modal);
+    }
+    
+    // Escape closes the modal; Tab and Shift+Tab cycle within it
+    handleModalKeydown(e, modal) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closePreferences();
+            return;
+        }
+        
+        if (e.key !== 'Tab') return;
+        
+        const focusable = Array.from(modal.querySelectorAll(
+            'button:not([disabled]), [href], input:not([disabled]), select, summary, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => element.getClientRects().length > 0 || element.tagName === 'SUMMARY');
+        if (!focusable.length) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement) || document.activeElement.id === 'consentModalTitle')) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    // Banner content, rendered into #consentBanner (created when the page has none)
+    renderBanner() {
+        let banner = document.getElementById('consentBanner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'consentBanner';
+            banner.className = 'consent-banner';
+        }
+        
+        // First in the tab order so keyboard users reach it without crossing the page
+        if (document.body.firstElementChild !== banner) {
+            document.body.prepend(banner);
+        }
+        
+        banner.lang = this.locale;
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-modal', 'false');
+        banner.setAttribute('aria-labelledby', 'consentBannerTitle');
+        banner.setAttribute('aria-describedby', 'consentBannerText');
+        banner.innerHTML = `
+            <div class="consent-content">
+                <div class="consent-text">
+                    <strong id="consentBannerTitle">${this.t('bannerTitle')}</strong>
+                    <span id="consentBannerText">${this.t('bannerText')}</span>
+                    <a href="${escapeHtml(this.options.cookiePolicyUrl)}">${this.t('learnMore')}</a>
+                </div>
+                <div class="consent-buttons">
+                    <button type="button" class="consent-btn consent-accept">${this.t('accept')}</button>
+                    <button type="button" class="consent-btn consent-decline">${this.t('decline')}</button>
+                    <button type="button" class="consent-btn consent-preferences">${this.t('customize')}</button>
+                </div>
+                ${this.renderLanguageSwitcher()}
+            </div>
+        `;
+    }
+    
+    renderLanguageSwitcher() {
+        const options = Object.keys(this.locales).map(code => {
+            const selected = code === this.locale ? ' selected' : '';
+            return `<option value="${code}"${selected}>${escapeHtml(this.locales[code].name)}</option>`;
+        }).join('');
+        
+        return `
+            <label class="consent-language">
+                <span>${this.t('language')}</span>
+                <select class="consent-language-select">${options}</select>
+            </label>
+        `;
+    }
+    
+    // Theme colours come from the --primary-color/--accent-color properties set by site-bootstrap.js
+    injectStyles() {
+        if (document.getElementById('consentStyles')) return;
+        
         const style = document.createElement('style');
+        style.id = 'consentStyles';
         style.textContent = `
+            .consent-banner,
+            #consentPreferencesModal {
+                --consent-background: var(--primary-color, #2c3e50);
+                --consent-accent: var(--accent-color, #27ae60);
+            }
+            
+            .consent-banner {
+                position: fixed;
+                bottom: 0;
+                left: 0;
+                right: 0;
+                background: var(--consent-background);
+                color: white;
+                padding: 20px;
+                z-index: 1000;
+                display: none;
+                box-shadow: 0 -2px 10px rgba(0, 0, 0, 0.1);
+            }
+            
+            .consent-content {
+                max-width: 1200px;
+                margin: 0 auto;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 20px;
+            }
+            
+            .consent-text {
+                flex: 1;
+                min-width: 300px;
+            }
+            
+            .consent-text a {
+                color: inherit;
+                text-decoration: underline;
+            }
+            
+            .consent-buttons {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+            }
+            
+            /* Accept, Decline and Customize share one style so no choice is favoured */
+            .consent-buttons .consent-btn {
+                min-width: 120px;
+                background: white;
+                color: var(--consent-background);
+                border: 2px solid white;
+            }
+            
+            .consent-buttons .consent-btn:hover {
+                background: transparent;
+                color: white;
+            }
+            
+            .consent-banner :focus-visible,
+            #consentPreferencesModal :focus-visible {
+                outline: 3px solid var(--consent-focus, #f1c40f);
+                outline-offset: 2px;
+            }
+            
+            .consent-visually-hidden {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                margin: -1px;
+                padding: 0;
+                overflow: hidden;
+                clip: rect(0, 0, 0, 0);
+                white-space: nowrap;
+                border: 0;
+            }
+            
+            .consent-language {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 0.9rem;
+            }
+            
+            .consent-language select {
+                padding: 4px 6px;
+                border-radius: 4px;
+                border: 1px solid #ccc;
+                font: inherit;
+            }
+            
             .consent-modal-overlay {
                 position: fixed;
                 top: 0;
@@ -318,13 +998,15 @@ class ConsentManager {
                 display: flex;
                 justify-content: space-between;
                 align-items: center;
+                gap: 10px;
                 padding: 20px;
                 border-bottom: 1px solid #eee;
             }
             
             .consent-modal-header h2 {
                 margin: 0;
-                color: #2c3e50;
+                margin-right: auto;
+                color: var(--consent-background);
             }
             
             .consent-modal-close {
@@ -368,7 +1050,7 @@ class ConsentManager {
             
             .consent-category h3 {
                 margin: 0;
-                color: #2c3e50;
+                color: var(--consent-background);
                 font-size: 1.1rem;
             }
             
@@ -410,11 +1092,11 @@ class ConsentManager {
             }
             
             input:checked + .consent-slider {
-                background-color: #27ae60;
+                background-color: var(--consent-accent);
             }
             
             input:disabled + .consent-slider {
-                background-color: #27ae60;
+                background-color: var(--consent-accent);
                 opacity: 0.6;
                 cursor: not-allowed;
             }
@@ -423,6 +1105,36 @@ class ConsentManager {
                 transform: translateX(26px);
             }
             
+            .consent-toggle input:focus-visible + .consent-slider {
+                outline: 3px solid var(--consent-focus, #f1c40f);
+                outline-offset: 2px;
+            }
+            
+            .consent-cookie-details {
+                margin-top: 10px;
+                font-size: 0.9rem;
+            }
+            
+            .consent-cookie-details summary {
+                cursor: pointer;
+                color: var(--consent-background);
+            }
+            
+            .cookie-table {
+                width: 100%;
+                margin-top: 10px;
+                border-collapse: collapse;
+                font-size: 0.85rem;
+            }
+            
+            .cookie-table th,
+            .cookie-table td {
+                padding: 6px 8px;
+                border-bottom: 1px solid #eee;
+                text-align: left;
+                vertical-align: top;
+            }
+            
             .consent-modal-footer {
                 padding: 20px;
                 border-top: 1px solid #eee;
@@ -441,12 +1153,12 @@ class ConsentManager {
             }
             
             .consent-btn-primary {
-                background: #27ae60;
+                background: var(--consent-accent);
                 color: white;
             }
             
             .consent-btn-primary:hover {
-                background: #219a52;
+                filter: brightness(0.9);
             }
             
             .consent-btn-secondary {
@@ -458,10 +1170,76 @@ class ConsentManager {
             .consent-btn-secondary:hover {
                 background: #f5f5f5;
             }
+            
+            @media (max-width: 768px) {
+                .consent-content {
+                    flex-direction: column;
+                    text-align: center;
+                }
+            }
+            
+            @media (prefers-reduced-motion: reduce) {
+                .consent-btn,
+                .consent-slider,
+                .consent-slider:before {
+                    transition: none;
+                }
+            }
         `;
         
-        modal.appendChild(style);
-        document.body.appendChild(modal);
+        document.head.appendChild(style);
+    }
+    
+    // Fill the modal's per-category cookie tables from the scanner
+    renderCookieTables(modal) {
+        const declaration = this.cookieScanner.getDeclaration();
+        const labels = this.getCookieTableLabels();
+        
+        modal.querySelectorAll('.consent-cookie-table').forEach(container => {
+            const entries = declaration[container.dataset.category] || [];
+            container.appendChild(this.cookieScanner.renderTable(entries, labels));
+        });
+        
+        if (declaration.unclassified) {
+            const body = modal.querySelector('.consent-modal-body');
+            const category = document.createElement('div');
+            category.className = 'consent-category';
+            category.innerHTML = `<h3>${this.t('unclassifiedTitle')}</h3><p>${this.t('unclassifiedDescription')}</p>`;
+            category.appendChild(this.cookieScanner.renderTable(declaration.unclassified, labels));
+            body.appendChild(category);
+        }
+    }
+    
+    // Cookie policy page: <div data-cookie-declaration></div>
+    renderCookieDeclarations() {
+        const titles = {};
+        ['necessary', 'analytics', 'advertising', 'functional', 'unclassified'].forEach(category => {
+            titles[category] = this.translate(category + 'Title');
+        });
+        
+        document.querySelectorAll('[data-cookie-declaration]').forEach(container => {
+            container.lang = this.locale;
+            this.cookieScanner.renderDeclaration(container, titles, this.getCookieTableLabels());
+        });
+    }
+    
+    getCookieTableLabels() {
+        return {
+            headers: this.locales[this.locale].cookieTableHeaders,
+            empty: this.locales[this.locale].cookieTableEmpty
+        };
+    }
+    
+    // Delete cookies and storage keys from categories that are not granted
+    purgeDeniedCookies() {
+        const deleted = this.cookieScanner.purge(category => this.isCategoryGranted(category));
+        
+        if (deleted.length) {
+            this.trackConsentEvent('consent_cookies_deleted', {
+                deleted_count: deleted.length
+            });
+        }
+        this.renderCookieDeclarations();
     }
     
     // Close preferences modal
@@ -470,31 +1248,157 @@ class ConsentManager {
         if (modal) {
             modal.remove();
         }
+        this.modalCategories = null;
+        
+        // The opener may be gone, e.g. the banner's Customize button after saving
+        const opener = this.modalOpener;
+        this.modalOpener = null;
+        if (opener && opener.isConnected && opener.getClientRects().length > 0) {
+            opener.focus();
+        }
     }
     
     // Save detailed preferences from modal
     saveDetailedPreferences() {
-        const analytics = document.getElementById('analyticsToggle')?.checked || false;
-        const advertising = document.getElementById('advertisingToggle')?.checked || false;
-        const functional = document.getElementById('functionalToggle')?.checked || false;
+        // Categories left out of a limited modal keep their stored choice
+        const current = this.modalCategories && this.preferences ? this.preferences : {};
         
-        const preferences = {
+        const preferences = this.applyOptOuts({
             consentGiven: true,
-            analytics,
-            advertising,
-            functional,
+            analytics: Boolean(current.analytics),
+            advertising: Boolean(current.advertising),
+            functional: Boolean(current.functional),
+            ...this.readToggles(),
             necessary: true
-        };
+        });
         
         this.savePreferences(preferences);
         this.updateGTMConsent(preferences);
         this.hideConsentBanner();
         this.closePreferences();
         this.consentGiven = true;
+        this.notifyConsentChange('save_preferences');
+        this.recordConsent('save_preferences');
         
         this.trackConsentEvent('consent_preferences_saved', preferences);
     }
     
+    // Current (unsaved) states of the toggles shown in the preferences modal
+    readToggles() {
+        const toggles = {};
+        ['analytics', 'advertising', 'functional'].forEach(category => {
+            const input = document.getElementById(category + 'Toggle');
+            if (input) {
+                toggles[category] = input.checked;
+            }
+        });
+        return toggles;
+    }
+    
+    // Let other modules (e.g. MotelAnalytics) react to consent decisions
+    notifyConsentChange(action) {
+        this.purgeDeniedCookies();
+        window.dispatchEvent(new CustomEvent('motel:consentchange', {
+            detail: {
+                action,
+                consentGiven: this.consentGiven,
+                preferences: this.preferences
+            }
+        }));
+    }
+    
+    // Append the current decision to the audit log (proof of consent)
+    recordConsent(action, source = 'user') {
+        const preferences = this.preferences;
+        const region = this.getRegion();
+        const banner = document.getElementById('consentBanner');
+        
+        return this.consentLog.append({
+            action,
+            source,
+            consentVersion: this.options.consentVersion,
+            locale: this.locale,
+            textVersion: this.locales[this.locale].version,
+            noticeHash: banner ? ConsentLog.hashText(banner.textContent) : null,
+            choices: preferences ? {
+                necessary: true,
+                analytics: Boolean(preferences.analytics),
+                advertising: Boolean(preferences.advertising),
+                functional: Boolean(preferences.functional),
+                saleOptOut: Boolean(preferences.saleOptOut)
+            } : null,
+            gpc: this.hasGlobalPrivacyControl(),
+            country: region.country,
+            jurisdiction: region.jurisdiction,
+            page: window.location.origin + window.location.pathname
+        });
+    }
+    
+    // Kantara Consent Receipt (v1.1) for the latest decision, with the full consent history
+    exportConsentReceipt() {
+        const history = this.consentLog.getEntries();
+        const latest = history[history.length - 1];
+        if (!latest) return null;
+        
+        const controller = this.options.controller || {};
+        const choices = latest.choices || {};
+        const purposes = Object.keys(RECEIPT_PURPOSES)
+            .filter(category => category === 'necessary' || choices[category])
+            .map(category => ({
+                ...RECEIPT_PURPOSES[category],
+                purposeCategory: [category],
+                consentType: category === 'necessary' ? 'IMPLICIT' : 'EXPLICIT',
+                termination: 'Until withdrawn in Privacy Preferences or browser storage is cleared'
+            }));
+        
+        return {
+            version: 'KI-CR-v1.1.0',
+            jurisdiction: latest.jurisdiction,
+            consentTimestamp: Math.floor(Date.parse(latest.timestamp) / 1000),
+            collectionMethod: 'Website consent banner',
+            consentReceiptID: latest.recordId,
+            language: latest.locale || this.locale,
+            piiPrincipalId: this.consentLog.consentId,
+            piiControllers: [{
+                piiController: controller.name || document.title,
+                contact: controller.name || document.title,
+                address: controller.address || '',
+                email: controller.email || '',
+                phone: controller.phone || '',
+                piiControllerUrl: controller.url || window.location.origin
+            }],
+            policyUrl: this.options.privacyPolicyUrl || window.location.origin,
+            services: [{
+                service: `${controller.name || document.title} website`,
+                purposes
+            }],
+            sensitive: false,
+            spiCat: [],
+            consentVersion: latest.consentVersion,
+            saleOptOut: Boolean(choices.saleOptOut),
+            consentHistory: history.map(({ delivered, ...entry }) => entry)
+        };
+    }
+    
+    // Save the receipt as a JSON file (linked from the privacy page)
+    downloadConsentReceipt() {
+        const receipt = this.exportConsentReceipt();
+        if (!receipt) return false;
+        
+        const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `consent-receipt-${receipt.consentReceiptID}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        
+        this.trackConsentEvent('consent_receipt_downloaded');
+        return true;
+    }
+    
     // Track consent-related events
     trackConsentEvent(eventName, data = {}) {
         if (window.dataLayer) {
@@ -503,6 +1407,8 @@ class ConsentManager {
                 event_category: 'consent',
                 consent_version: this.options.consentVersion,
                 is_eea_region: this.isEEARegion(),
+                consent_country: this.getRegion().country,
+                consent_jurisdiction: this.getRegion().jurisdiction,
                 ...data
             });
         }
@@ -518,8 +1424,97 @@ class ConsentManager {
                 this.declineAll();
             } else if (e.target.matches('.consent-preferences')) {
                 this.showPreferences();
+            } else if (e.target.matches('.consent-modal-close, .consent-modal-cancel')) {
+                this.closePreferences();
+            } else if (e.target.matches('.consent-modal-save')) {
+                this.saveDetailedPreferences();
+            } else if (e.target.matches('.consent-do-not-sell')) {
+                e.preventDefault();
+                this.optOutOfSale('user');
+            } else if (e.target.matches('.consent-download-receipt')) {
+                e.preventDefault();
+                this.downloadConsentReceipt();
+            }
+        });
+        
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.consent-language-select')) {
+                this.setLocale(e.target.value);
             }
         });
+        
+        this.refreshOptOutLinks();
+    }
+    
+    // US state privacy: Global Privacy Control and "Do Not Sell or Share"
+    hasGlobalPrivacyControl() {
+        return this.options.honorGlobalPrivacyControl && navigator.globalPrivacyControl === true;
+    }
+    
+    // Record a GPC signal as a sale/sharing opt-out on the stored choice
+    // (without a stored choice it is applied when the visitor chooses, see applyOptOuts)
+    applyGlobalPrivacyControl() {
+        if (!this.hasGlobalPrivacyControl() || !this.preferences) return;
+        if (this.preferences.saleOptOut && this.preferences.gpc) return;
+        
+        this.optOutOfSale('gpc');
+    }
+    
+    // Opt out of sale/sharing; advertising is the only category that sells or shares data
+    optOutOfSale(source = 'user') {
+        const preferences = {
+            ...(this.preferences || { consentGiven: false, necessary: true }),
+            advertising: false,
+            saleOptOut: true,
+            optOutSource: this.preferences?.optOutSource || source,
+            gpc: this.hasGlobalPrivacyControl()
+        };
+        
+        this.savePreferences(preferences);
+        
+        // Without a consent choice the denied defaults already apply
+        if (preferences.consentGiven) {
+            this.updateGTMConsent(preferences);
+            this.notifyConsentChange('opt_out');
+        } else {
+            this.purgeDeniedCookies();
+            window.dispatchEvent(new CustomEvent('motel:optout', {
+                detail: { preferences: this.preferences }
+            }));
+        }
+        
+        this.recordConsent('opt_out', source);
+        this.refreshOptOutLinks();
+        this.trackConsentEvent('consent_sale_opt_out', {
+            opt_out_source: source,
+            gpc: preferences.gpc
+        });
+    }
+    
+    // Keep the sale/sharing opt-out (and GPC) in force on any later choice
+    applyOptOuts(preferences) {
+        const gpc = this.hasGlobalPrivacyControl();
+        const saleOptOut = gpc || Boolean(this.preferences && this.preferences.saleOptOut);
+        
+        if (!saleOptOut) return preferences;
+        
+        return {
+            ...preferences,
+            advertising: false,
+            saleOptOut: true,
+            optOutSource: this.preferences?.optOutSource || 'gpc',
+            gpc
+        };
+    }
+    
+    refreshOptOutLinks() {
+        if (!this.preferences || !this.preferences.saleOptOut) return;
+        
+        document.querySelectorAll('.consent-do-not-sell').forEach(link => {
+            link.textContent = this.options.optOutConfirmationText || this.translate('optOutConfirmation');
+            link.setAttribute('aria-disabled', 'true');
+            link.dataset.optedOut = 'true';
+        });
     }
     
     // Public API methods
@@ -527,34 +1522,60 @@ class ConsentManager {
         return {
             consentGiven: this.consentGiven,
             preferences: this.preferences,
-            isEEARegion: this.isEEARegion()
+            isEEARegion: this.isEEARegion(),
+            region: this.getRegion(),
+            saleOptOut: Boolean(this.preferences && this.preferences.saleOptOut),
+            globalPrivacyControl: this.hasGlobalPrivacyControl()
         };
     }
     
     revokeConsent() {
-        localStorage.removeItem(this.options.storageKey);
-        this.preferences = null;
+        const saleOptOut = this.preferences && this.preferences.saleOptOut ? this.preferences.optOutSource : null;
+        
+        this.clearStoredPreferences();
         this.consentGiven = false;
+        this.revokedAt = Date.now();
+        this.writeSharedCookie();
         this.setDefaultConsent();
+        this.notifyConsentChange('revoke');
+        this.recordConsent('revoke');
         this.showConsentBanner();
         this.trackConsentEvent('consent_revoked');
+        
+        // Revoking consent must not undo a sale/sharing opt-out
+        if (saleOptOut) {
+            this.optOutOfSale(saleOptOut);
+        } else {
+            this.applyGlobalPrivacyControl();
+        }
     }
     
+    // Change some categories; without an earlier choice (e.g. a placeholder's "Enable" button) the
+    // others are stored as declined, and this counts as the visitor's choice
     updateConsent(newPreferences) {
-        const preferences = {
+        const preferences = this.applyOptOuts({
+            necessary: true,
+            analytics: false,
+            advertising: false,
+            functional: false,
             ...this.preferences,
             ...newPreferences,
             consentGiven: true
-        };
+        });
         
         this.savePreferences(preferences);
         this.updateGTMConsent(preferences);
+        this.hideConsentBanner();
+        this.consentGiven = true;
+        this.notifyConsentChange('update');
+        this.recordConsent('update');
         this.trackConsentEvent('consent_updated', preferences);
     }
 }
 
-// Initialize consent manager when DOM is ready
+// Initialize consent manager when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
 document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap) return;
     window.consentManager = new ConsentManager();
 });
 
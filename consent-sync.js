@@ -0,0 +1,79 @@
+/**
+ * Cross-Domain Consent Sync
+ * Relays the consent choice between the group's properties through a shared hub page
+ * (consent-hub.html) loaded in a hidden iframe and spoken to with postMessage
+ */
+
+const CONSENT_SYNC_MESSAGE = 'motel-consent';
+
+class ConsentSync {
+    constructor(consentManager, options = {}) {
+        this.consentManager = consentManager;
+        this.options = {
+            // e.g. https://consent.motelgroup.com/consent-hub.html
+            hubUrl: null,
+            ...options
+        };
+
+        this.hubOrigin = new URL(this.options.hubUrl, window.location.href).origin;
+        this.frame = null;
+        this.ready = false;
+        this.pending = [];
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('message', (e) => this.handleMessage(e));
+
+        // Only explicit choices (and revocations) are pushed; defaults and pre-choice state never leave the page
+        window.addEventListener('motel:consentchange', (e) => {
+            if (e.detail.action === 'restore' || e.detail.action === 'sync') return;
+
+            const record = this.consentManager.getSharedRecord();
+            if (record) {
+                this.send({ action: 'put', record });
+            }
+        });
+
+        this.frame = document.createElement('iframe');
+        this.frame.src = this.options.hubUrl;
+        this.frame.title = 'Consent sync';
+        this.frame.setAttribute('aria-hidden', 'true');
+        this.frame.tabIndex = -1;
+        this.frame.style.display = 'none';
+        this.frame.addEventListener('load', () => {
+            this.ready = true;
+            this.send({ action: 'get' });
+            this.pending.splice(0).forEach(message => this.post(message));
+        });
+        document.body.appendChild(this.frame);
+    }
+
+    send(message) {
+        if (this.ready) {
+            this.post(message);
+        } else {
+            this.pending.push(message);
+        }
+    }
+
+    post(message) {
+        this.frame.contentWindow.postMessage({ type: CONSENT_SYNC_MESSAGE, ...message }, this.hubOrigin);
+    }
+
+    // The hub answers every get/put with the newest record it holds
+    handleMessage(e) {
+        if (e.origin !== this.hubOrigin || !this.frame || e.source !== this.frame.contentWindow) return;
+
+        const data = e.data;
+        if (!data || data.type !== CONSENT_SYNC_MESSAGE || data.action !== 'state' || !data.record) return;
+
+        this.consentManager.applySharedRecord(data.record, 'hub');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentSync;
+}
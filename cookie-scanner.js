@@ -0,0 +1,214 @@
+/**
+ * Cookie Scanner
+ * Enumerates cookies and web storage keys at runtime, classifies them against a cookie catalog,
+ * renders the cookie declaration and deletes entries from denied categories
+ */
+
+// Known cookies and storage keys; `name` may end in * to match a prefix
+const COOKIE_CATALOG = [
+    { name: 'motel_consent_preferences', storage: 'localStorage', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Stores your privacy choices', duration: 'Up to 13 months' },
+    { name: 'motel_consent', storage: 'cookie', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Shares your privacy choices with our other subdomains', duration: '13 months' },
+    { name: 'motel_consent_locale', storage: 'localStorage', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Remembers the language of the privacy notice', duration: 'Until cleared' },
+    { name: 'motel_consent_log', storage: 'localStorage', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Keeps a record of your privacy choices as proof of consent', duration: 'Until cleared' },
+    { name: 'motel_cookie_scan_warned', storage: 'sessionStorage', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Keeps the site from logging the same unclassified cookie twice', duration: 'Session' },
+    { name: 'motel_region', storage: 'sessionStorage', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Remembers your region to apply the right privacy rules', duration: 'Session' },
+    { name: 'geo_country', storage: 'cookie', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'Region hint set by our content delivery network', duration: 'Session' },
+    { name: 'euconsent-v2', storage: 'cookie', category: 'necessary', provider: 'Mountain View Lodge', purpose: 'IAB TCF consent string shared with advertising partners', duration: '13 months' },
+    { name: 'motel_visitor', storage: 'localStorage', category: 'analytics', provider: 'Mountain View Lodge', purpose: 'Anonymous visitor id and visit count', duration: 'Until consent is withdrawn' },
+    { name: 'motel_session', storage: 'localStorage', category: 'analytics', provider: 'Mountain View Lodge', purpose: 'Keeps the current visit together across pages', duration: '30 minutes of inactivity' },
+    { name: 'motel_attribution', storage: 'localStorage', category: 'analytics', provider: 'Mountain View Lodge', purpose: 'Remembers the first and latest campaign that brought you to us (ad click ids only with advertising consent)', duration: 'Until consent is withdrawn' },
+    { name: 'motel_analytics', storage: 'indexedDB', category: 'analytics', provider: 'Mountain View Lodge', purpose: 'Holds analytics events until they can be delivered', duration: 'Up to 72 hours' },
+    { name: '_ga', storage: 'cookie', category: 'analytics', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '2 years' },
+    { name: '_ga_*', storage: 'cookie', category: 'analytics', provider: 'Google Analytics', purpose: 'Persists session state', duration: '2 years' },
+    { name: '_gid', storage: 'cookie', category: 'analytics', provider: 'Google Analytics', purpose: 'Distinguishes visitors', duration: '24 hours' },
+    { name: '_gat*', storage: 'cookie', category: 'analytics', provider: 'Google Analytics', purpose: 'Throttles the request rate', duration: '1 minute' },
+    { name: '_gcl_*', storage: 'cookie', category: 'advertising', provider: 'Google Ads', purpose: 'Attributes bookings to ad clicks', duration: '90 days' },
+    { name: '_fbp', storage: 'cookie', category: 'advertising', provider: 'Meta', purpose: 'Delivers and measures Facebook and Instagram ads', duration: '90 days' },
+    { name: '_fbc', storage: 'cookie', category: 'advertising', provider: 'Meta', purpose: 'Stores the last Facebook ad click', duration: '90 days' }
+];
+
+const STORAGE_LABELS = {
+    cookie: 'Cookie',
+    localStorage: 'Local storage',
+    sessionStorage: 'Session storage',
+    indexedDB: 'IndexedDB'
+};
+
+const WARNED_STORAGE_KEY = 'motel_cookie_scan_warned';
+
+class CookieScanner {
+    constructor(options = {}) {
+        this.options = {
+            // Site-specific entries, checked before the built-in catalog
+            catalog: [],
+            // Unclassified entries are kept: they may be necessary
+            deleteUnknown: false,
+            ...options
+        };
+
+        this.catalog = [...this.options.catalog, ...COOKIE_CATALOG];
+        this.warned = this.loadWarned();
+    }
+
+    // Names already reported this browser session, so a page load doesn't repeat the warnings
+    loadWarned() {
+        try {
+            return new Set(JSON.parse(sessionStorage.getItem(WARNED_STORAGE_KEY)) || []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    warnUnknown(name, storage) {
+        if (this.warned.has(name)) return;
+
+        this.warned.add(name);
+        console.warn(`Cookie scanner: ${STORAGE_LABELS[storage].toLowerCase()} "${name}" is not in the cookie catalog`);
+        try {
+            sessionStorage.setItem(WARNED_STORAGE_KEY, JSON.stringify([...this.warned]));
+        } catch (error) {
+            // Storage unavailable: warn once per page instead
+        }
+    }
+
+    // Every cookie and storage key currently set, classified against the catalog
+    scan() {
+        const found = [];
+
+        document.cookie.split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            found.push(this.classify(decodeURIComponent(entry.split('=')[0]), 'cookie'));
+        });
+
+        ['localStorage', 'sessionStorage'].forEach(storage => {
+            try {
+                const store = window[storage];
+                for (let i = 0; i < store.length; i++) {
+                    found.push(this.classify(store.key(i), storage));
+                }
+            } catch (error) {
+                // Storage unavailable (private mode)
+            }
+        });
+
+        return found;
+    }
+
+    classify(name, storage) {
+        const entry = this.catalog.find(item => item.storage === storage && this.matches(item.name, name));
+        if (entry) {
+            return { ...entry, name, storage, known: true };
+        }
+
+        this.warnUnknown(name, storage);
+        return { name, storage, category: 'unclassified', provider: 'Unknown', purpose: 'Not yet classified', duration: 'Unknown', known: false };
+    }
+
+    matches(pattern, name) {
+        return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name;
+    }
+
+    // Catalog entries plus anything unclassified found on this page, grouped by category
+    getDeclaration() {
+        const declaration = {};
+        const add = (entry) => {
+            (declaration[entry.category] = declaration[entry.category] || []).push(entry);
+        };
+
+        this.catalog.forEach(entry => add({ ...entry, known: true }));
+        this.scan().filter(entry => !entry.known).forEach(add);
+
+        return declaration;
+    }
+
+    // Delete cookies, storage keys and IndexedDB databases whose category is not granted;
+    // returns the deleted cookies and storage keys
+    purge(isGranted) {
+        const deleted = this.scan().filter(entry => {
+            if (!entry.known) return this.options.deleteUnknown;
+            return !isGranted(entry.category);
+        });
+
+        deleted.forEach(entry => {
+            if (entry.storage === 'cookie') {
+                this.deleteCookie(entry.name);
+            } else {
+                try {
+                    window[entry.storage].removeItem(entry.name);
+                } catch (error) {
+                    // Storage unavailable
+                }
+            }
+        });
+
+        // Databases can't be listed synchronously, so denied ones are deleted by name whether or not they exist
+        this.catalog.filter(entry => entry.storage === 'indexedDB' && !entry.name.endsWith('*') && !isGranted(entry.category)).forEach(entry => {
+            try {
+                window.indexedDB.deleteDatabase(entry.name);
+            } catch (error) {
+                // IndexedDB unavailable
+            }
+        });
+
+        return deleted;
+    }
+
+    // Cookies can only be removed with the domain they were set on, so try every parent domain
+    deleteCookie(name) {
+        const expired = `${encodeURIComponent(name)}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+        const parts = window.location.hostname.split('.');
+
+        document.cookie = expired;
+        for (let i = 0; i < parts.length - 1; i++) {
+            document.cookie = `${expired}; domain=.${parts.slice(i).join('.')}`;
+        }
+    }
+
+    // <table> of the entries in one category; labels: { headers: [5 column names], empty }
+    renderTable(entries, labels = {}) {
+        const table = document.createElement('table');
+        table.className = 'cookie-table';
+
+        const head = table.createTHead().insertRow();
+        (labels.headers || ['Name', 'Provider', 'Purpose', 'Duration', 'Type']).forEach(label => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = label;
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        if (!entries.length) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 5;
+            cell.textContent = labels.empty || 'None in use';
+        }
+        entries.forEach(entry => {
+            const row = body.insertRow();
+            [entry.name, entry.provider, entry.purpose, entry.duration, STORAGE_LABELS[entry.storage]].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            if (!entry.known) {
+                row.className = 'cookie-unclassified';
+            }
+        });
+
+        return table;
+    }
+
+    // Full declaration (cookie policy page): a heading and table per category
+    renderDeclaration(container, titles = {}, labels = {}) {
+        const declaration = this.getDeclaration();
+        container.innerHTML = '';
+
+        Object.keys(declaration).forEach(category => {
+            const heading = document.createElement('h3');
+            heading.textContent = titles[category] || category.charAt(0).toUpperCase() + category.slice(1);
+            container.append(heading, this.renderTable(declaration[category], labels));
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CookieScanner, COOKIE_CATALOG };
+}
@@ -0,0 +1,203 @@
+/**
+ * Cross-Domain Linker
+ * Carries the client, visitor and session ids to listed domains (the external booking engine)
+ * in a GA4-compatible `_gl` parameter, and reads it back when the guest returns:
+ *
+ *   _gl=1*<fingerprint>*_ga*<base64>*motel_vid*<base64>*motel_sid*<base64>
+ *
+ * The fingerprint is GA's CRC32 of user agent, time zone, language, the current minute and the
+ * values. It is an unkeyed checksum, not a signature: it drops stale or mangled parameters and
+ * most copies opened in another browser, but anyone can compute it, so decoded values are untrusted
+ */
+
+const LINKER_VERSION = '1';
+
+const CRC32_TABLE = (() => {
+    const table = [];
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class CrossDomainLinker {
+    constructor(options = {}) {
+        this.options = {
+            // Hosts whose links and forms are decorated, e.g. ['book.example-engine.com']; subdomains included
+            domains: [],
+            parameter: '_gl',
+            // Minutes a parameter stays valid (GA accepts the current and the two previous minutes)
+            maxAge: 2,
+            // Remove the parameter from the address bar once read; leave off when GA's own linker must read it too
+            stripFromUrl: false,
+            // Returns the { key: value } pairs to hand over, or null to leave links untouched (e.g. no consent)
+            getValues: () => null,
+            ...options
+        };
+
+        this.setupDecoration();
+    }
+
+    isLinkedHost(host) {
+        const name = String(host || '').replace(/^www\./, '').toLowerCase();
+        return this.options.domains.some(domain => {
+            const linked = domain.replace(/^www\./, '').toLowerCase();
+            return name === linked || name.endsWith('.' + linked);
+        });
+    }
+
+    encode(values) {
+        const pairs = Object.keys(values)
+            .filter(key => values[key])
+            .map(key => `${key}*${this.toBase64(String(values[key]))}`)
+            .join('*');
+
+        return `${LINKER_VERSION}*${this.fingerprint(pairs, 0)}*${pairs}`;
+    }
+
+    // { status: 'valid' | 'expired' | 'invalid', values }
+    decode(parameter) {
+        const parts = String(parameter || '').split('*');
+        if (parts[0] !== LINKER_VERSION || parts.length < 4 || parts.length % 2 !== 0) {
+            return { status: 'invalid', values: {} };
+        }
+
+        const [, hash, ...rest] = parts;
+        const values = {};
+        try {
+            for (let i = 0; i < rest.length; i += 2) {
+                values[rest[i]] = this.fromBase64(rest[i + 1]);
+            }
+        } catch (error) {
+            return { status: 'invalid', values: {} };
+        }
+
+        const pairs = rest.join('*');
+        for (let offset = 0; offset <= this.options.maxAge; offset++) {
+            if (this.fingerprint(pairs, offset) === hash) {
+                return { status: 'valid', values };
+            }
+        }
+
+        // Matches an older minute of the last hour: expired rather than invalid
+        for (let offset = this.options.maxAge + 1; offset <= 60; offset++) {
+            if (this.fingerprint(pairs, offset) === hash) {
+                return { status: 'expired', values: {} };
+            }
+        }
+        return { status: 'invalid', values: {} };
+    }
+
+    // Parameter on the current URL (query or fragment), decoded; null when there is none
+    read() {
+        const url = new URL(window.location.href);
+        const fragment = new URLSearchParams(url.hash.slice(1));
+        const parameter = url.searchParams.get(this.options.parameter) || fragment.get(this.options.parameter);
+        if (!parameter) return null;
+
+        if (this.options.stripFromUrl && window.history && window.history.replaceState) {
+            url.searchParams.delete(this.options.parameter);
+            fragment.delete(this.options.parameter);
+            url.hash = fragment.toString();
+            window.history.replaceState(window.history.state, '', url.toString());
+        }
+
+        return this.decode(parameter);
+    }
+
+    // URL with a fresh parameter, replacing any earlier one; unchanged when there is nothing to hand over
+    decorate(href) {
+        const values = this.options.getValues();
+        if (!values) return href;
+
+        let url;
+        try {
+            url = new URL(href, window.location.href);
+        } catch (error) {
+            return href;
+        }
+        if (!this.isLinkedHost(url.hostname)) return href;
+
+        url.searchParams.set(this.options.parameter, this.encode(values));
+        return url.toString();
+    }
+
+    decorateForm(form) {
+        const action = form.getAttribute('action') || window.location.href;
+        const decorated = this.decorate(action);
+        if (decorated === action) return;
+
+        // GET submissions replace the action's query string, so the parameter travels as a field
+        if ((form.method || 'get').toLowerCase() === 'get') {
+            let input = form.querySelector(`input[name="${this.options.parameter}"]`);
+            if (!input) {
+                input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = this.options.parameter;
+                form.appendChild(input);
+            }
+            input.value = new URL(decorated).searchParams.get(this.options.parameter);
+        } else {
+            form.action = decorated;
+        }
+    }
+
+    // Decorate at the last moment so the fingerprint's minute is current
+    setupDecoration() {
+        ['mousedown', 'keydown', 'click'].forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                const link = e.target.closest && e.target.closest('a[href]');
+                if (link) {
+                    const decorated = this.decorate(link.href);
+                    if (decorated !== link.href) {
+                        link.href = decorated;
+                    }
+                }
+            }, true);
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.tagName === 'FORM') {
+                this.decorateForm(e.target);
+            }
+        }, true);
+    }
+
+    fingerprint(pairs, minuteOffset) {
+        const data = [
+            navigator.userAgent,
+            new Date().getTimezoneOffset(),
+            navigator.userLanguage || navigator.language,
+            Math.floor(Date.now() / 60 / 1000) - minuteOffset,
+            pairs
+        ].join('*');
+
+        return this.crc32(data).toString(36);
+    }
+
+    crc32(text) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < text.length; i++) {
+            crc = CRC32_TABLE[(crc ^ text.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Web-safe base64 with "." padding, as used by GA's linker
+    toBase64(value) {
+        return btoa(value).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '.');
+    }
+
+    fromBase64(value) {
+        return atob(value.replace(/-/g, '+').replace(/_/g, '/').replace(/\./g, '='));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrossDomainLinker;
+}
@@ -0,0 +1,226 @@
+/**
+ * Declarative Event Tracking
+ * Fires MotelAnalytics methods from data attributes so content editors can tag markup without JS
+ *
+ * <div data-track-event="amenity_interaction" data-amenity="Hot Tub & Sauna" data-interaction="click">
+ * <div data-track-event="room_view" data-room-type="King Suite" data-room-id="101" data-track-trigger="impression">
+ * <form data-track-event="price_check" data-track-trigger="submit"> (reads check_in, check_out and guests fields)
+ */
+
+// Event name -> MotelAnalytics method and its typed parameters, read from data-* attributes
+const DECLARATIVE_EVENTS = {
+    amenity_interaction: {
+        method: 'trackAmenityInteraction',
+        params: [
+            { key: 'amenity', type: 'string', required: true, maxLength: 100 },
+            { key: 'interaction', type: 'string', maxLength: 40, defaultToTrigger: true }
+        ]
+    },
+    room_view: {
+        method: 'trackRoomView',
+        params: [
+            { key: 'roomType', type: 'string', required: true, maxLength: 100 },
+            { key: 'roomId', type: 'string', maxLength: 40 },
+            { key: 'price', type: 'number', min: 0 }
+        ]
+    },
+    price_check: {
+        method: 'trackPriceCheck',
+        params: [
+            { key: 'checkIn', field: 'check_in', type: 'date', required: true },
+            { key: 'checkOut', field: 'check_out', type: 'date', required: true },
+            { key: 'guests', field: 'guests', type: 'integer', min: 1, max: 20, default: 1 }
+        ],
+        validate: ([checkIn, checkOut]) => checkOut > checkIn || 'check-out must be after check-in'
+    }
+};
+
+class DeclarativeTracker {
+    constructor(analytics, options = {}) {
+        this.analytics = analytics;
+        this.options = {
+            selector: '[data-track-event]',
+            defaultThreshold: 0.5,
+            defaultDwell: 1000,
+            ...options
+        };
+
+        this.impressionTimers = new Map();
+        this.firedImpressions = new WeakSet();
+        this.observedElements = new WeakSet();
+        this.observer = null;
+
+        this.init();
+    }
+
+    init() {
+        ['click', 'submit', 'change'].forEach(eventType => {
+            document.addEventListener(eventType, (e) => this.handleDomEvent(e), true);
+        });
+
+        this.setupImpressionTracking();
+    }
+
+    // Delegated handler for click/submit/change triggers
+    handleDomEvent(e) {
+        const element = e.target.closest && e.target.closest(this.options.selector);
+        if (!element || !this.getTriggers(element).includes(e.type)) return;
+
+        this.fire(element, e.type);
+    }
+
+    getTriggers(element) {
+        const triggers = element.dataset.trackTrigger || (element.tagName === 'FORM' ? 'submit' : 'click');
+        return triggers.split(/\s+/).filter(Boolean);
+    }
+
+    // Impression triggers: element at least `threshold` visible for `dwell` ms, once per page
+    setupImpressionTracking() {
+        if (!('IntersectionObserver' in window)) return;
+
+        const thresholds = [0, 0.25, 0.5, 0.75, 1];
+        this.observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => this.handleIntersection(entry));
+        }, { threshold: thresholds });
+
+        this.refresh();
+
+        // Pick up tagged elements added after load
+        if ('MutationObserver' in window) {
+            new MutationObserver(() => this.refresh()).observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+        }
+    }
+
+    // Start observing any impression-tagged elements not yet observed
+    refresh() {
+        if (!this.observer) return;
+
+        document.querySelectorAll(this.options.selector).forEach(element => {
+            if (this.observedElements.has(element) || !this.getTriggers(element).includes('impression')) return;
+
+            this.observedElements.add(element);
+            this.observer.observe(element);
+        });
+    }
+
+    handleIntersection(entry) {
+        const element = entry.target;
+        if (this.firedImpressions.has(element)) return;
+
+        const threshold = this.readNumber(element.dataset.trackThreshold, this.options.defaultThreshold);
+        const dwell = this.readNumber(element.dataset.trackDwell, this.options.defaultDwell);
+        const visible = entry.isIntersecting && entry.intersectionRatio >= threshold;
+
+        if (visible && !this.impressionTimers.has(element)) {
+            this.impressionTimers.set(element, setTimeout(() => {
+                this.impressionTimers.delete(element);
+                this.firedImpressions.add(element);
+                this.observer.unobserve(element);
+                this.fire(element, 'impression');
+            }, dwell));
+        } else if (!visible && this.impressionTimers.has(element)) {
+            clearTimeout(this.impressionTimers.get(element));
+            this.impressionTimers.delete(element);
+        }
+    }
+
+    fire(element, trigger) {
+        const eventName = element.dataset.trackEvent;
+        const definition = DECLARATIVE_EVENTS[eventName];
+
+        if (!definition) {
+            console.warn(`Declarative tracking: unknown data-track-event "${eventName}"`, element);
+            return;
+        }
+
+        const values = this.readParameters(element, definition, trigger);
+        if (!values) return;
+
+        this.analytics[definition.method](...values);
+    }
+
+    // Read and type-check parameters; returns null (and warns) when invalid
+    readParameters(element, definition, trigger) {
+        const values = [];
+
+        for (const param of definition.params) {
+            let raw = element.dataset[param.key];
+
+            if ((raw === undefined || raw === '') && param.field && element.tagName === 'FORM') {
+                raw = element.elements[param.field]?.value;
+            }
+            if ((raw === undefined || raw === '') && param.defaultToTrigger) {
+                raw = trigger;
+            }
+
+            if (raw === undefined || raw === '') {
+                if (param.required) {
+                    return this.invalid(element, `missing required "${param.key}"`);
+                }
+                values.push(param.default);
+                continue;
+            }
+
+            const value = this.coerce(raw, param);
+            if (value === null) {
+                return this.invalid(element, `"${param.key}" is not a valid ${param.type}: "${raw}"`);
+            }
+            values.push(value);
+        }
+
+        if (definition.validate) {
+            const result = definition.validate(values);
+            if (result !== true) {
+                return this.invalid(element, result);
+            }
+        }
+
+        return values;
+    }
+
+    coerce(raw, param) {
+        switch (param.type) {
+            case 'integer':
+            case 'number': {
+                const number = Number(raw);
+                if (!Number.isFinite(number)) return null;
+                if (param.type === 'integer' && !Number.isInteger(number)) return null;
+                if (param.min !== undefined && number < param.min) return null;
+                if (param.max !== undefined && number > param.max) return null;
+                return number;
+            }
+            case 'date': {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || isNaN(Date.parse(raw))) return null;
+                return raw;
+            }
+            default: {
+                const value = String(raw).trim();
+                return param.maxLength ? value.slice(0, param.maxLength) : value;
+            }
+        }
+    }
+
+    readNumber(value, fallback) {
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    }
+
+    invalid(element, reason) {
+        console.warn(`Declarative tracking: ${element.dataset.trackEvent} skipped, ${reason}`, element);
+        return null;
+    }
+}
+
+// Initialize when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
+document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap || !window.motelAnalytics) return;
+    window.declarativeTracker = new DeclarativeTracker(window.motelAnalytics);
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeclarativeTracker, DECLARATIVE_EVENTS };
+}
@@ -0,0 +1,558 @@
+/**
+ * Event Schema Registry
+ * Declares every event MotelAnalytics sends (required/optional parameters, types, allowed values,
+ * lengths) and validates events against it and GA4's naming rules: warnings in development,
+ * dropped or truncated events in production. Exports the registry as a tracking plan.
+ */
+
+const GA4_LIMITS = {
+    eventNameLength: 40,
+    parameterNameLength: 40,
+    parameterValueLength: 100,
+    parametersPerEvent: 25
+};
+
+// Names GA4 collects automatically or reserves; custom events must not use them
+const GA4_RESERVED_EVENTS = [
+    'ad_activeview', 'ad_click', 'ad_exposure', 'ad_impression', 'ad_query', 'ad_reward', 'adunit_exposure',
+    'app_background', 'app_clear_data', 'app_exception', 'app_install', 'app_remove', 'app_store_refund',
+    'app_store_subscription_cancel', 'app_store_subscription_convert', 'app_store_subscription_renew',
+    'app_update', 'app_upgrade', 'dynamic_link_app_open', 'dynamic_link_app_update', 'dynamic_link_first_open',
+    'error', 'firebase_campaign', 'firebase_in_app_message_action', 'firebase_in_app_message_dismiss',
+    'firebase_in_app_message_impression', 'first_open', 'first_visit', 'in_app_purchase',
+    'notification_dismiss', 'notification_foreground', 'notification_open', 'notification_receive',
+    'notification_send', 'os_update', 'session_start', 'session_start_with_rollout', 'user_engagement'
+];
+const GA4_RESERVED_PREFIXES = ['_', 'firebase_', 'ga_', 'google_', 'gtag.'];
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Added to every event by MotelAnalytics
+const COMMON_PARAMETERS = {
+    page_view_id: { type: 'string', required: true, description: 'Id of the page view the event belongs to' },
+    timestamp: { type: 'number', required: true, description: 'Time the event was tracked (ms since epoch)' },
+    visitor_id: { type: 'string', required: true, description: 'Anonymous visitor id (stored only with analytics consent)' },
+    session_id: { type: 'string', required: true, description: 'Session id' },
+    session_number: { type: 'integer', required: true, description: 'Sequence number of the session for this visitor' },
+    session_landing_page: { type: 'string', description: 'Path the session started on' },
+    session_page_count: { type: 'integer', description: 'Pages viewed in the session so far' },
+    session_engaged_time: { type: 'number', description: 'ms the site was visible and in use during the session' },
+    redacted_fields: { type: 'integer', description: 'Parameters changed or dropped by PII redaction' }
+};
+
+// First/last-touch campaign attribution on conversion events
+const ATTRIBUTION_PARAMETERS = {
+    first_touch_source: { type: 'string', description: 'Source of the first visit' },
+    first_touch_medium: { type: 'string', description: 'Medium of the first visit' },
+    first_touch_campaign: { type: 'string', description: 'Campaign of the first visit' },
+    first_touch_channel: { type: 'string', description: 'Channel of the first visit' },
+    last_touch_source: { type: 'string', description: 'Source of the latest non-direct visit' },
+    last_touch_medium: { type: 'string', description: 'Medium of the latest non-direct visit' },
+    last_touch_campaign: { type: 'string', description: 'Campaign of the latest non-direct visit' },
+    last_touch_term: { type: 'string', description: 'utm_term of the latest non-direct visit' },
+    last_touch_content: { type: 'string', description: 'utm_content of the latest non-direct visit' },
+    last_touch_channel: { type: 'string', description: 'Channel of the latest non-direct visit' },
+    last_touch_click_id_type: { type: 'string', enum: ['gclid', 'gbraid', 'wbraid', 'msclkid', 'fbclid'], description: 'Ad click id parameter (advertising consent only)' },
+    last_touch_click_id: { type: 'string', description: 'Ad click id (advertising consent only)' }
+};
+
+const category = (value) => ({ type: 'string', required: true, enum: [value], description: 'Event category' });
+const label = { type: 'string', description: 'Event label' };
+const timeOnPage = { type: 'number', description: 'ms since the page loaded' };
+const elementLocation = { type: 'object', description: 'Element position and size { x, y, width, height }' };
+const ecommerce = {
+    funnel_step: { type: 'integer', required: true, description: 'Position in the booking funnel (1-6)' },
+    funnel_step_name: { type: 'string', required: true, description: 'Funnel step event name' },
+    ecommerce: { type: 'object', required: true, description: 'GA4 ecommerce object with currency, value and items' }
+};
+
+const EVENT_SCHEMAS = {
+    page_view_enhanced: {
+        description: 'Page view with device and referrer details',
+        params: {
+            page_title: { type: 'string', maxLength: 300, description: 'Document title' },
+            page_location: { type: 'string', required: true, maxLength: 1000, description: 'URL without stripped query parameters' },
+            page_referrer: { type: 'string', maxLength: 420, description: 'Referring URL' },
+            user_agent: { type: 'string', maxLength: 512, description: 'Browser user agent (GA4 keeps the first 100 characters)' },
+            screen_resolution: { type: 'string', description: 'Screen size, e.g. 1920x1080' },
+            viewport_size: { type: 'string', description: 'Viewport size, e.g. 1280x720' },
+            language: { type: 'string', description: 'Browser language' },
+            timezone: { type: 'string', description: 'IANA time zone' },
+            linker_status: { type: 'string', enum: ['valid', 'expired', 'invalid'], description: 'Result of reading an incoming _gl parameter' }
+        }
+    },
+    booking_click: {
+        description: 'Visitor clicked a booking call to action',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            button_text: { type: 'string', description: 'Text of the clicked button' },
+            button_location: elementLocation,
+            page_section: { type: 'string', description: 'Section containing the button' },
+            time_on_page: timeOnPage,
+            room_type: { type: 'string', description: 'Room type, when the button belongs to a room' },
+            check_in_date: { type: 'date', description: 'Check-in date (YYYY-MM-DD), when known' },
+            check_out_date: { type: 'date', description: 'Check-out date (YYYY-MM-DD), when known' },
+            number_of_guests: { type: 'integer', description: 'Guests, when known' },
+            ...ATTRIBUTION_PARAMETERS
+        }
+    },
+    price_check: {
+        description: 'Visitor checked prices for dates',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            check_in_date: { type: 'date', required: true, description: 'Check-in date (YYYY-MM-DD)' },
+            check_out_date: { type: 'date', required: true, description: 'Check-out date (YYYY-MM-DD)' },
+            number_of_guests: { type: 'integer', description: 'Guests' },
+            ...ATTRIBUTION_PARAMETERS
+        }
+    },
+    newsletter_signup: {
+        description: 'Newsletter form submitted',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            form_location: elementLocation,
+            email_domain: { type: 'string', description: 'Domain of the address (never the address itself)' },
+            time_on_page: timeOnPage,
+            ...ATTRIBUTION_PARAMETERS
+        }
+    },
+    phone_click: {
+        description: 'Phone number link clicked',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            phone_number: { type: 'string', description: 'Number dialled (removed by PII redaction unless allow-listed)' }
+        }
+    },
+    email_click: {
+        description: 'Email link clicked',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            email_domain: { type: 'string', description: 'Domain of the address' }
+        }
+    },
+    directions_click: {
+        description: 'Map or directions link clicked',
+        params: {
+            event_category: category('conversion'),
+            event_label: label,
+            map_provider: { type: 'string', enum: ['google_maps', 'apple_maps', 'geo', 'custom', 'unknown'], description: 'Map service' }
+        }
+    },
+    link_click: {
+        description: 'Any other link clicked',
+        params: {
+            event_category: category('navigation'),
+            link_text: { type: 'string', description: 'Link text' },
+            link_url: { type: 'string', maxLength: 1000, description: 'Link URL without stripped query parameters' },
+            link_domain: { type: 'string', description: 'Host of the link' },
+            is_external: { type: 'boolean', description: 'Link leaves this host' },
+            is_cross_domain: { type: 'boolean', description: 'Link goes to a cross-domain linker domain' },
+            link_location: elementLocation
+        }
+    },
+    page_scroll: {
+        description: 'Scroll threshold reached (once per threshold and page or route)',
+        params: {
+            event_category: category('engagement'),
+            event_label: label,
+            scroll_depth: { type: 'number', required: true, description: 'Percent of the scrollable distance reached' },
+            threshold_type: { type: 'string', enum: ['percent', 'pixels'], description: 'Unit of scroll_threshold' },
+            scroll_threshold: { type: 'number', description: 'Threshold that fired (percent or px from the top)' },
+            page_fully_visible: { type: 'boolean', description: 'The page fits the viewport; sent once as 100%' },
+            time_to_scroll: { type: 'number', description: 'ms since the page loaded or the route changed' },
+            page_height: { type: 'number', description: 'Document height in px' },
+            viewport_height: { type: 'number', description: 'Viewport height in px' }
+        }
+    },
+    element_scroll: {
+        description: 'Threshold reached inside a data-track-scroll container (e.g. a gallery carousel)',
+        params: {
+            event_category: category('engagement'),
+            event_label: label,
+            scroll_container: { type: 'string', required: true, description: 'data-track-scroll name' },
+            scroll_axis: { type: 'string', enum: ['x', 'y'], description: 'Direction measured' },
+            scroll_depth: { type: 'number', required: true, description: 'Percent of the container scrolled' },
+            time_to_scroll: { type: 'number', description: 'ms since the page loaded or the route changed' }
+        }
+    },
+    form_submit: {
+        description: 'Form submitted',
+        params: {
+            event_category: category('form'),
+            form_id: { type: 'string', description: 'Form id' },
+            form_name: { type: 'string', description: 'Form name' },
+            form_action: { type: 'string', maxLength: 1000, description: 'Form action URL' },
+            form_method: { type: 'string', description: 'get or post' }
+        }
+    },
+    form_field_focus: {
+        description: 'Form field focused',
+        params: {
+            event_category: category('form'),
+            field_name: { type: 'string', description: 'Field name (removed by PII redaction unless allow-listed)' },
+            field_type: { type: 'string', description: 'Input type' },
+            form_id: { type: 'string', description: 'Form id' }
+        }
+    },
+    amenity_interaction: {
+        description: 'Amenity clicked or seen',
+        params: {
+            event_category: category('engagement'),
+            event_label: label,
+            amenity_name: { type: 'string', required: true, description: 'Amenity' },
+            interaction_type: { type: 'string', maxLength: 40, description: 'click, impression, ...' }
+        }
+    },
+    page_visibility_change: {
+        description: 'Tab hidden or shown',
+        params: {
+            event_category: category('engagement'),
+            visibility_state: { type: 'string', required: true, enum: ['visible', 'hidden'], description: 'New visibility state' },
+            time_on_page: timeOnPage
+        }
+    },
+    user_idle: {
+        description: 'No input for 30 seconds',
+        params: {
+            event_category: category('engagement'),
+            time_before_idle: timeOnPage
+        }
+    },
+    user_active: {
+        description: 'Input after being idle',
+        params: {
+            event_category: category('engagement'),
+            idle_duration: { type: 'number', description: 'ms spent idle' }
+        }
+    },
+    session_end: {
+        description: 'Page left (pagehide)',
+        params: {
+            event_category: category('engagement'),
+            time_on_page: timeOnPage,
+            session_duration: { type: 'number', description: 'ms since the session started' },
+            max_scroll_depth: { type: 'number', description: 'Deepest scroll percentage on the page' }
+        }
+    },
+    section_view: {
+        description: 'Tagged page section on screen for a second (once per section and page)',
+        params: {
+            event_category: category('engagement'),
+            section_name: { type: 'string', required: true, description: 'data-track-section name' },
+            section_index: { type: 'integer', description: 'Position among the tagged sections (1-based)' },
+            time_to_view: { type: 'number', description: 'ms from page load until the section first came on screen' },
+            visible_ratio: { type: 'number', description: 'Largest share of the section visible so far (0-1)' }
+        }
+    },
+    section_engagement: {
+        description: 'Per-page section summary, sent when the page is left',
+        params: {
+            event_category: category('engagement'),
+            sections_viewed: { type: 'integer', required: true, description: 'Sections that got a section_view' },
+            sections_total: { type: 'integer', description: 'Tagged sections on the page' },
+            top_section: { type: 'string', description: 'Section with the most dwell time' },
+            top_section_time: { type: 'number', description: 'Its dwell time in ms' }
+        }
+    },
+    section_dwell: {
+        description: 'Per-section dwell, sent when the page is left for each section that came on screen',
+        params: {
+            event_category: category('engagement'),
+            section_name: { type: 'string', required: true, description: 'data-track-section name' },
+            section_index: { type: 'integer', description: 'Position among the tagged sections (1-based)' },
+            section_viewed: { type: 'boolean', description: 'The section got a section_view' },
+            time_to_view: { type: 'number', description: 'ms from page load until the section first came on screen' },
+            dwell_time: { type: 'number', required: true, description: 'ms on screen while the tab was visible and the visitor active' },
+            max_visible_ratio: { type: 'number', description: 'Largest share of the section visible (0-1)' }
+        }
+    },
+    web_vital: {
+        description: 'Core Web Vital, once per page when final (compare with booking_click through page_view_id)',
+        params: {
+            metric_name: { type: 'string', required: true, enum: ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'], description: 'Metric' },
+            metric_value: { type: 'number', required: true, description: 'ms (CLS: unitless score)' },
+            metric_rating: { type: 'string', required: true, enum: ['good', 'needs-improvement', 'poor'], description: 'Rating against the Core Web Vitals thresholds' },
+            metric_id: { type: 'string', description: 'Unique id of the measurement' },
+            navigation_type: { type: 'string', enum: ['navigate', 'reload', 'back-forward', 'prerender'], description: 'How the page was reached' },
+            metric_target: { type: 'string', description: 'Selector of the LCP element, INP interaction target or largest layout shift source' },
+            metric_target_url: { type: 'string', maxLength: 420, description: 'LCP image URL' },
+            lcp_resource_load_time: { type: 'number', description: 'LCP: ms until the image finished loading' },
+            interaction_type: { type: 'string', description: 'INP: event type (click, keydown, pointerdown, ...)' },
+            input_delay: { type: 'number', description: 'INP: ms before handlers started' },
+            processing_time: { type: 'number', description: 'INP: ms spent in handlers' },
+            presentation_delay: { type: 'number', description: 'INP: ms from handlers to the next paint' },
+            largest_shift_value: { type: 'number', description: 'CLS: score of the largest single shift' },
+            largest_shift_time: { type: 'number', description: 'CLS: ms after navigation of the largest shift' },
+            dns_time: { type: 'number', description: 'TTFB: DNS lookup ms' },
+            connect_time: { type: 'number', description: 'TTFB: connection ms' },
+            request_time: { type: 'number', description: 'TTFB: ms from request to first byte' }
+        }
+    },
+    page_timing: {
+        description: 'Navigation and resource timing summary, after the load event',
+        params: {
+            navigation_type: { type: 'string', enum: ['navigate', 'reload', 'back-forward', 'prerender'], description: 'How the page was reached' },
+            dom_interactive: { type: 'number', description: 'ms until the DOM was parsed' },
+            dom_content_loaded: { type: 'number', description: 'ms until DOMContentLoaded handlers finished' },
+            load_time: { type: 'number', description: 'ms until load handlers finished' },
+            page_transfer_size: { type: 'integer', description: 'Bytes transferred for the document' },
+            resource_count: { type: 'integer', description: 'Resources loaded' },
+            resource_transfer_size: { type: 'integer', description: 'Bytes transferred for resources (0 for cached and cross-origin without Timing-Allow-Origin)' },
+            image_count: { type: 'integer', description: 'Images loaded' },
+            style_count: { type: 'integer', description: 'Stylesheets loaded' },
+            script_count: { type: 'integer', description: 'Scripts loaded' },
+            font_count: { type: 'integer', description: 'Fonts loaded' },
+            other_count: { type: 'integer', description: 'Other resources (fetch, beacons, ...)' },
+            slowest_resource: { type: 'string', maxLength: 420, description: 'URL of the slowest resource' },
+            slowest_resource_time: { type: 'number', description: 'ms the slowest resource took' }
+        }
+    },
+    long_tasks: {
+        description: 'Main-thread tasks over 50 ms, summarized when the page is first hidden',
+        params: {
+            long_task_count: { type: 'integer', required: true, description: 'Long tasks' },
+            long_task_total_time: { type: 'number', description: 'ms spent in long tasks' },
+            longest_task_time: { type: 'number', description: 'ms of the longest task' },
+            longest_task_source: { type: 'string', maxLength: 420, description: 'Frame or script the longest task ran in, when known' }
+        }
+    },
+    view_item_list: { description: 'Booking funnel 1: room list viewed', params: { ...ecommerce } },
+    view_item: { description: 'Booking funnel 2: room viewed', params: { ...ecommerce } },
+    select_item: { description: 'Booking funnel 3: room selected', params: { ...ecommerce } },
+    begin_checkout: { description: 'Booking funnel 4: checkout started', params: { ...ecommerce } },
+    add_payment_info: { description: 'Booking funnel 5: payment details entered', params: { ...ecommerce } },
+    purchase: { description: 'Booking funnel 6: reservation completed', params: { ...ecommerce } }
+};
+
+class EventSchemaRegistry {
+    constructor(options = {}) {
+        this.options = {
+            // 'development' warns and sends events unchanged; 'production' drops or truncates what doesn't fit
+            mode: typeof window !== 'undefined' && /^(localhost|127\.0\.0\.1)$/.test(window.location.hostname) ? 'development' : 'production',
+            // Extra or overriding { event_name: { description, params } }
+            schemas: {},
+            // Events missing from the registry are sent after the GA4 name checks
+            allowUnknownEvents: true,
+            ...options
+        };
+
+        this.schemas = { ...EVENT_SCHEMAS, ...this.options.schemas };
+        this.warned = new Set();
+    }
+
+    register(eventName, schema) {
+        this.schemas[eventName] = schema;
+    }
+
+    get(eventName) {
+        return this.schemas[eventName] || null;
+    }
+
+    getParameters(eventName) {
+        const schema = this.get(eventName);
+        return schema ? { ...COMMON_PARAMETERS, ...schema.params } : null;
+    }
+
+    // Problems with an event: [{ parameter, message, fix: 'drop_event' | 'drop_parameter' | 'truncate' | null }]
+    validate(eventData) {
+        const issues = [];
+        const eventName = eventData.event;
+        const add = (parameter, message, fix) => issues.push({ parameter, message, fix });
+
+        const nameProblem = this.checkName(eventName, GA4_LIMITS.eventNameLength);
+        if (nameProblem) {
+            add(null, `event name ${nameProblem}`, 'drop_event');
+            return issues;
+        }
+        if (GA4_RESERVED_EVENTS.includes(eventName)) {
+            add(null, 'event name is reserved by GA4', 'drop_event');
+            return issues;
+        }
+
+        const params = this.getParameters(eventName);
+        if (!params) {
+            add(null, 'event is not in the schema registry', this.options.allowUnknownEvents ? null : 'drop_event');
+        }
+
+        const keys = Object.keys(eventData).filter(key => key !== 'event');
+        keys.forEach(key => {
+            const keyProblem = this.checkName(key, GA4_LIMITS.parameterNameLength);
+            if (keyProblem) {
+                add(key, `parameter name ${keyProblem}`, 'drop_parameter');
+                return;
+            }
+
+            const spec = params ? params[key] : null;
+            if (params && !spec) {
+                add(key, 'parameter is not declared for this event', 'drop_parameter');
+                return;
+            }
+            this.checkValue(key, eventData[key], spec).forEach(issue => issues.push(issue));
+        });
+
+        if (params) {
+            Object.keys(params).filter(key => params[key].required && eventData[key] === undefined).forEach(key => {
+                add(key, 'required parameter is missing', 'drop_event');
+            });
+        }
+
+        if (keys.length > GA4_LIMITS.parametersPerEvent) {
+            add(null, `${keys.length} parameters; GA4 keeps ${GA4_LIMITS.parametersPerEvent} per event`, null);
+        }
+
+        return issues;
+    }
+
+    checkName(name, maxLength) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) return `"${name}" must start with a letter and use only letters, digits and underscores`;
+        if (name.length > maxLength) return `"${name}" is longer than ${maxLength} characters`;
+        if (GA4_RESERVED_PREFIXES.some(prefix => name.startsWith(prefix))) return `"${name}" uses a prefix reserved by GA4`;
+        return null;
+    }
+
+    checkValue(key, value, spec) {
+        const issues = [];
+        if (value === undefined || value === null) return issues;
+
+        // A bad required parameter makes the whole event unusable
+        const dropFix = spec && spec.required ? 'drop_event' : 'drop_parameter';
+
+        if (spec && !this.hasType(value, spec.type)) {
+            issues.push({ parameter: key, message: `expected ${spec.type}, got ${JSON.stringify(value)}`, fix: dropFix });
+            return issues;
+        }
+        if (spec && spec.enum && !spec.enum.includes(value)) {
+            issues.push({ parameter: key, message: `"${value}" is not one of ${spec.enum.join(', ')}`, fix: dropFix });
+            return issues;
+        }
+
+        const maxLength = spec && spec.maxLength ? spec.maxLength : GA4_LIMITS.parameterValueLength;
+        if (typeof value === 'string' && value.length > maxLength) {
+            issues.push({ parameter: key, message: `value is ${value.length} characters; the limit is ${maxLength}`, fix: 'truncate', maxLength });
+        }
+        return issues;
+    }
+
+    hasType(value, type) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'date': return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+            case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === 'string';
+        }
+    }
+
+    // Event to send, or null to drop it. Development warns (once per problem) and changes nothing
+    apply(eventData) {
+        const issues = this.validate(eventData);
+        if (!issues.length) return eventData;
+
+        if (this.options.mode !== 'production') {
+            issues.forEach(issue => this.warn(eventData.event, issue));
+            return eventData;
+        }
+
+        if (issues.some(issue => issue.fix === 'drop_event')) return null;
+
+        const fixed = { ...eventData };
+        issues.forEach(({ parameter, fix, maxLength }) => {
+            if (fix === 'drop_parameter') {
+                delete fixed[parameter];
+            } else if (fix === 'truncate') {
+                fixed[parameter] = fixed[parameter].slice(0, maxLength);
+            }
+        });
+        return fixed;
+    }
+
+    warn(eventName, { parameter, message }) {
+        const text = `Event schema: ${eventName}${parameter ? `.${parameter}` : ''} ${message}`;
+        if (this.warned.has(text)) return;
+
+        this.warned.add(text);
+        console.warn(text);
+    }
+
+    // Tracking plan rows: one per event parameter; parameters on every event are listed under "*"
+    getPlan() {
+        const rows = [];
+        const addRows = (eventName, params) => {
+            Object.keys(params).forEach(key => {
+                const spec = params[key];
+                rows.push({
+                    event: eventName,
+                    parameter: key,
+                    type: spec.type || 'string',
+                    required: Boolean(spec.required),
+                    maxLength: spec.maxLength || (!spec.type || ['string', 'date'].includes(spec.type) ? GA4_LIMITS.parameterValueLength : ''),
+                    allowedValues: spec.enum ? spec.enum.join(' | ') : '',
+                    description: spec.description || ''
+                });
+            });
+        };
+
+        addRows('*', COMMON_PARAMETERS);
+        Object.keys(this.schemas).forEach(eventName => addRows(eventName, this.schemas[eventName].params || {}));
+        return rows;
+    }
+
+    toMarkdown() {
+        const escape = (text) => String(text).replace(/\|/g, '\\|');
+        const table = (rows) => [
+            '| Parameter | Type | Required | Max length | Allowed values | Description |',
+            '|-----------|------|----------|------------|----------------|-------------|',
+            ...rows.map(row => `| \`${row.parameter}\` | ${row.type} | ${row.required ? 'yes' : ''} | ${row.maxLength} | ${escape(row.allowedValues)} | ${escape(row.description)} |`)
+        ].join('\n');
+
+        const plan = this.getPlan();
+        const sections = [
+            '# Tracking Plan',
+            '',
+            `Generated from event-schema.js. GA4 limits: event and parameter names up to ${GA4_LIMITS.eventNameLength} characters, ` +
+                `values up to ${GA4_LIMITS.parameterValueLength} characters unless stated, ${GA4_LIMITS.parametersPerEvent} parameters per event.`,
+            '',
+            '## Parameters on every event',
+            '',
+            table(plan.filter(row => row.event === '*'))
+        ];
+
+        Object.keys(this.schemas).forEach(eventName => {
+            sections.push('', `## \`${eventName}\``, '', this.schemas[eventName].description || '', '',
+                table(plan.filter(row => row.event === eventName)));
+        });
+
+        return sections.join('\n') + '\n';
+    }
+
+    toCsv() {
+        const cell = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const header = ['event', 'event_description', 'parameter', 'type', 'required', 'max_length', 'allowed_values', 'description'];
+
+        const lines = this.getPlan().map(row => [
+            row.event,
+            row.event === '*' ? 'Every event' : this.schemas[row.event].description || '',
+            row.parameter,
+            row.type,
+            row.required ? 'yes' : 'no',
+            row.maxLength,
+            row.allowedValues,
+            row.description
+        ].map(cell).join(','));
+
+        return [header.join(','), ...lines].join('\n') + '\n';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventSchemaRegistry;
+    module.exports.EVENT_SCHEMAS = EVENT_SCHEMAS;
+    module.exports.GA4_LIMITS = GA4_LIMITS;
+}
@@ -0,0 +1,326 @@
+/**
+ * Event Transport
+ * Batches analytics events and sends them straight to a first-party collection endpoint
+ * (e.g. a server-side GTM container) with sendBeacon / fetch keepalive. Batches that can't be
+ * delivered wait in IndexedDB and are retried with backoff once the connection returns
+ */
+
+const TRANSPORT_DB_VERSION = 1;
+
+// GA4 Measurement Protocol accepts at most 25 events per request
+const MEASUREMENT_PROTOCOL_MAX_EVENTS = 25;
+
+class EventTransport {
+    constructor(options = {}) {
+        this.options = {
+            // e.g. https://collect.motel2.com/collect
+            endpoint: null,
+            // 'json': { batch_id, sent_at, events } with events as tracked; 'ga4': Measurement Protocol { client_id, events: [{ name, params }] }
+            format: 'json',
+            batchSize: 20,
+            // ms to wait for more events before sending a partial batch
+            flushInterval: 5000,
+            // First retry delay in ms, doubled after every failure up to maxRetryDelay
+            retryDelay: 2000,
+            maxRetryDelay: 5 * 60 * 1000,
+            // GA4 drops events older than 72 hours, so older batches are discarded
+            maxBatchAge: 72 * 60 * 60 * 1000,
+            maxStoredBatches: 100,
+            // sendBeacon and keepalive bodies share a 64 KB budget per page
+            maxBeaconBytes: 60000,
+            dbName: 'motel_analytics',
+            storeName: 'outbox',
+            // Checked before stored batches are retried (e.g. analytics consent)
+            canSend: () => true,
+            ...options
+        };
+
+        if (this.options.format === 'ga4') {
+            this.options.batchSize = Math.min(this.options.batchSize, MEASUREMENT_PROTOCOL_MAX_EVENTS);
+        }
+
+        this.buffer = [];
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.retrying = false;
+        this.failures = 0;
+        this.clientId = null;
+        this.db = null;
+        // Used instead of IndexedDB when it is unavailable (some private modes)
+        this.memoryOutbox = [];
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.retryStored());
+
+        // Batches left behind by earlier pages
+        this.scheduleRetry(0);
+    }
+
+    enqueue(eventData) {
+        this.buffer.push(eventData);
+
+        if (this.buffer.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    // Send everything buffered; while the page is being hidden or unloaded the batch goes out as a beacon
+    flush({ unloading = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (!this.buffer.length) return Promise.resolve();
+
+        const batch = this.createBatch(this.buffer.splice(0));
+        if (unloading) {
+            // No time left to wait for a response: keep a copy only if the browser refuses the beacon
+            return this.beacon(batch) ? Promise.resolve() : this.store(batch);
+        }
+        return this.deliver(batch);
+    }
+
+    createBatch(events) {
+        return {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: Date.now(),
+            clientId: this.options.format === 'ga4' ? this.getClientId() : undefined,
+            events
+        };
+    }
+
+    async deliver(batch) {
+        if (await this.send(batch)) {
+            this.failures = 0;
+            return;
+        }
+
+        this.failures++;
+        await this.store(batch);
+        this.scheduleRetry();
+    }
+
+    // Resolves true once the batch needs no further attempts
+    async send(batch) {
+        if (typeof fetch !== 'function') return false;
+
+        const body = this.serialize(batch);
+        try {
+            // text/plain keeps the request CORS-simple, so no preflight for an endpoint on another subdomain
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body,
+                credentials: 'same-origin',
+                keepalive: body.length <= this.options.maxBeaconBytes
+            });
+            if (response.ok) return true;
+
+            // The endpoint rejected the payload itself; sending it again won't help
+            if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+                console.warn(`Event transport: batch rejected with HTTP ${response.status}`);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    beacon(batch) {
+        const body = this.serialize(batch);
+        if (!navigator.sendBeacon || body.length > this.options.maxBeaconBytes) return false;
+
+        try {
+            return navigator.sendBeacon(this.options.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    serialize(batch) {
+        if (this.options.format === 'ga4') {
+            return JSON.stringify({
+                client_id: batch.clientId || this.getClientId(),
+                events: batch.events.map(eventData => this.toMeasurementProtocol(eventData))
+            });
+        }
+
+        return JSON.stringify({
+            batch_id: batch.id,
+            sent_at: Date.now(),
+            events: batch.events
+        });
+    }
+
+    // { event, timestamp, ecommerce, ...params } -> { name, timestamp_micros, params }
+    toMeasurementProtocol(eventData) {
+        const { event, timestamp, ecommerce, ...rest } = eventData;
+        const params = { ...rest, ...(ecommerce || {}) };
+
+        // Only items may be nested; other objects (e.g. element locations) are sent as JSON strings
+        Object.keys(params).forEach(key => {
+            if (key !== 'items' && params[key] && typeof params[key] === 'object') {
+                params[key] = JSON.stringify(params[key]);
+            }
+        });
+
+        return {
+            name: event,
+            ...(timestamp ? { timestamp_micros: timestamp * 1000 } : {}),
+            params
+        };
+    }
+
+    // GA client id from the _ga cookie ("GA1.1.123456789.1700000000" -> "123456789.1700000000")
+    getClientId() {
+        const match = document.cookie.match(/(?:^|;\s*)_ga=GA\d\.\d\.(\d+\.\d+)/);
+        if (match) return match[1];
+
+        if (!this.clientId) {
+            this.clientId = `${Math.floor(Math.random() * 2147483647)}.${Math.floor(Date.now() / 1000)}`;
+        }
+        return this.clientId;
+    }
+
+    // Retry stored batches oldest first; stops at the first failure and backs off
+    async retryStored() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        if (this.retrying || !this.options.canSend() || navigator.onLine === false) return;
+
+        this.retrying = true;
+        try {
+            const batches = await this.loadStored();
+            for (const batch of batches) {
+                if (Date.now() - batch.createdAt > this.options.maxBatchAge || await this.send(batch)) {
+                    await this.removeStored(batch.id);
+                    continue;
+                }
+
+                this.failures++;
+                this.scheduleRetry();
+                return;
+            }
+            this.failures = 0;
+        } finally {
+            this.retrying = false;
+        }
+    }
+
+    scheduleRetry(delay = this.getRetryDelay()) {
+        if (this.retryTimer) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.retryStored();
+        }, delay);
+    }
+
+    // Exponential backoff with jitter, so guests coming back online don't all retry at once
+    getRetryDelay() {
+        const delay = Math.min(this.options.retryDelay * 2 ** Math.max(this.failures - 1, 0), this.options.maxRetryDelay);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Drop buffered and stored events, e.g. when analytics consent is withdrawn
+    async clear() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.buffer = [];
+        this.memoryOutbox = [];
+
+        const db = await this.openDb();
+        if (db) {
+            await this.request(db, 'readwrite', store => store.clear());
+        }
+    }
+
+    async store(batch) {
+        const db = await this.openDb();
+        if (!db) {
+            this.memoryOutbox.push(batch);
+            this.memoryOutbox.splice(0, Math.max(this.memoryOutbox.length - this.options.maxStoredBatches, 0));
+            return;
+        }
+
+        await this.request(db, 'readwrite', store => store.put(batch));
+
+        // Oldest batches go first once the outbox is full
+        const stored = await this.loadStored();
+        for (const old of stored.slice(0, Math.max(stored.length - this.options.maxStoredBatches, 0))) {
+            await this.removeStored(old.id);
+        }
+    }
+
+    async loadStored() {
+        const db = await this.openDb();
+        const batches = db ? (await this.request(db, 'readonly', store => store.getAll())) || [] : this.memoryOutbox.slice();
+        return batches.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async removeStored(id) {
+        const db = await this.openDb();
+        if (!db) {
+            this.memoryOutbox = this.memoryOutbox.filter(batch => batch.id !== id);
+            return;
+        }
+        await this.request(db, 'readwrite', store => store.delete(id));
+    }
+
+    // Resolves null when IndexedDB is unavailable
+    openDb() {
+        if (!this.db) {
+            this.db = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = window.indexedDB.open(this.options.dbName, TRANSPORT_DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.options.storeName, { keyPath: 'id' });
+                    };
+                    request.onsuccess = () => {
+                        // Let the cookie scanner delete the database when analytics consent is denied
+                        request.result.onversionchange = () => {
+                            request.result.close();
+                            this.db = null;
+                        };
+                        resolve(request.result);
+                    };
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        }
+        return this.db;
+    }
+
+    // One request in its own transaction; resolves with its result once the transaction completes
+    request(db, mode, operation) {
+        return new Promise(resolve => {
+            try {
+                const transaction = db.transaction(this.options.storeName, mode);
+                const request = operation(transaction.objectStore(this.options.storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => resolve(undefined);
+                transaction.onabort = () => resolve(undefined);
+            } catch (error) {
+                console.warn('Event transport: outbox unavailable:', error);
+                resolve(undefined);
+            }
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventTransport;
+}
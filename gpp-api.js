@@ -0,0 +1,394 @@
+/**
+ * IAB Global Privacy Platform (GPP) API
+ * Exposes __gpp with US-national (usnat) and state (usca, usco) sections built from the
+ * ConsentManager's sale/sharing opt-out and Global Privacy Control state
+ */
+
+const GPP_VERSION = '1.1';
+const GPP_BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Section name -> id and core segment fields ([name, bits, count])
+const GPP_SECTIONS = {
+    usnat: {
+        id: 7,
+        version: 1,
+        fields: [
+            ['Version', 6],
+            ['SharingNotice', 2],
+            ['SaleOptOutNotice', 2],
+            ['SharingOptOutNotice', 2],
+            ['TargetedAdvertisingOptOutNotice', 2],
+            ['SensitiveDataProcessingOptOutNotice', 2],
+            ['SensitiveDataLimitUseNotice', 2],
+            ['SaleOptOut', 2],
+            ['SharingOptOut', 2],
+            ['TargetedAdvertisingOptOut', 2],
+            ['SensitiveDataProcessing', 2, 12],
+            ['KnownChildSensitiveDataConsents', 2, 2],
+            ['PersonalDataConsents', 2],
+            ['MspaCoveredTransaction', 2],
+            ['MspaOptOutOptionMode', 2],
+            ['MspaServiceProviderMode', 2]
+        ]
+    },
+    usca: {
+        id: 8,
+        version: 1,
+        fields: [
+            ['Version', 6],
+            ['SaleOptOutNotice', 2],
+            ['SharingOptOutNotice', 2],
+            ['SensitiveDataLimitUseNotice', 2],
+            ['SaleOptOut', 2],
+            ['SharingOptOut', 2],
+            ['SensitiveDataProcessing', 2, 9],
+            ['KnownChildSensitiveDataConsents', 2, 2],
+            ['PersonalDataConsents', 2],
+            ['MspaCoveredTransaction', 2],
+            ['MspaOptOutOptionMode', 2],
+            ['MspaServiceProviderMode', 2]
+        ]
+    },
+    usco: {
+        id: 10,
+        version: 1,
+        fields: [
+            ['Version', 6],
+            ['SharingNotice', 2],
+            ['SaleOptOutNotice', 2],
+            ['TargetedAdvertisingOptOutNotice', 2],
+            ['SaleOptOut', 2],
+            ['TargetedAdvertisingOptOut', 2],
+            ['SensitiveDataProcessing', 2, 7],
+            ['KnownChildSensitiveDataConsents', 2],
+            ['MspaCoveredTransaction', 2],
+            ['MspaOptOutOptionMode', 2],
+            ['MspaServiceProviderMode', 2]
+        ]
+    }
+};
+
+// Encodes GPP header and US section strings
+class GPPString {
+    static encode(sections) {
+        const names = Object.keys(sections).sort((a, b) => GPP_SECTIONS[a].id - GPP_SECTIONS[b].id);
+        const header = new GPPBitWriter();
+
+        header.int(3, 6); // type: header
+        header.int(1, 6); // version
+        header.fibonacciRange(names.map(name => GPP_SECTIONS[name].id));
+
+        return [header.toBase64Url(), ...names.map(name => this.encodeSection(name, sections[name]))].join('~');
+    }
+
+    // Core segment plus the GPC subsection
+    static encodeSection(name, values) {
+        const core = new GPPBitWriter();
+        GPP_SECTIONS[name].fields.forEach(([field, bits, count]) => {
+            const value = values[field];
+            if (count) {
+                for (let i = 0; i < count; i++) {
+                    core.int(Array.isArray(value) ? value[i] || 0 : 0, bits);
+                }
+            } else {
+                core.int(value || 0, bits);
+            }
+        });
+
+        const gpc = new GPPBitWriter();
+        gpc.int(1, 2); // subsection type: GPC
+        gpc.int(values.Gpc ? 1 : 0, 1);
+
+        return core.toBase64Url() + '.' + gpc.toBase64Url();
+    }
+}
+
+class GPPBitWriter {
+    constructor() {
+        this.bits = '';
+    }
+
+    int(value, length) {
+        this.bits += Math.max(0, Math.floor(value || 0)).toString(2).padStart(length, '0');
+    }
+
+    // Zeckendorf representation, least significant first, terminated by an extra 1
+    fibonacci(value) {
+        const fibs = [1, 2];
+        while (fibs[fibs.length - 1] + fibs[fibs.length - 2] <= value) {
+            fibs.push(fibs[fibs.length - 1] + fibs[fibs.length - 2]);
+        }
+
+        const bits = new Array(fibs.length).fill('0');
+        let remaining = value;
+        for (let i = fibs.length - 1; i >= 0; i--) {
+            if (fibs[i] <= remaining) {
+                bits[i] = '1';
+                remaining -= fibs[i];
+            }
+        }
+
+        this.bits += bits.join('').replace(/0+$/, '') + '1';
+    }
+
+    // Sorted ids as ranges; each start is an offset from the previous end, each end from its start
+    fibonacciRange(ids) {
+        const ranges = [];
+        ids.forEach(id => {
+            const last = ranges[ranges.length - 1];
+            if (last && id === last[1] + 1) {
+                last[1] = id;
+            } else {
+                ranges.push([id, id]);
+            }
+        });
+
+        this.int(ranges.length, 12);
+        let previous = 0;
+        ranges.forEach(([start, end]) => {
+            this.int(start !== end ? 1 : 0, 1);
+            this.fibonacci(start - previous);
+            if (start !== end) {
+                this.fibonacci(end - start);
+            }
+            previous = end;
+        });
+    }
+
+    // Pad to whole bytes, then to whole base64 characters
+    toBase64Url() {
+        let bits = this.bits;
+        if (bits.length % 8) {
+            bits += '0'.repeat(8 - bits.length % 8);
+        }
+        if (bits.length % 6) {
+            bits += '0'.repeat(6 - bits.length % 6);
+        }
+
+        let result = '';
+        for (let i = 0; i < bits.length; i += 6) {
+            result += GPP_BASE64URL_ALPHABET[parseInt(bits.substr(i, 6), 2)];
+        }
+        return result;
+    }
+}
+
+class GppApi {
+    constructor(consentManager, options = {}) {
+        this.consentManager = consentManager;
+        this.options = {
+            cmpId: 0,
+            // Sections encoded in the GPP string
+            sections: ['usnat', 'usca', 'usco'],
+            // Section ids that apply to this visitor; null derives them from the region
+            applicableSections: null,
+            ...options
+        };
+
+        this.listeners = new Map();
+        this.nextListenerId = 1;
+        this.parsedSections = {};
+        this.gppString = '';
+
+        this.init();
+    }
+
+    init() {
+        const queued = (window.__gpp && window.__gpp.queue) || [];
+
+        GppApi.installStub();
+        this.update();
+
+        window.__gpp = (command, callback, parameter, version) => {
+            return this.handleCommand(command, callback, parameter, version);
+        };
+
+        queued.forEach(args => window.__gpp(...args));
+
+        ['motel:consentchange', 'motel:optout'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                this.update();
+                this.options.sections.forEach(section => this.notifyListeners('sectionChange', section));
+            });
+        });
+        window.addEventListener('motel:consentbannershown', () => {
+            this.notifyListeners('cmpDisplayStatus', 'visible');
+        });
+    }
+
+    // Minimal __gpp queue plus the __gppLocator frame and postMessage bridge for iframes
+    static installStub() {
+        if (typeof window.__gpp !== 'function') {
+            const queue = [];
+            window.__gpp = function(...args) {
+                if (args[0] === 'ping' && typeof args[1] === 'function') {
+                    args[1]({ gppVersion: GPP_VERSION, cmpStatus: 'stub', cmpDisplayStatus: 'hidden', signalStatus: 'not ready' }, true);
+                    return;
+                }
+                queue.push(args);
+            };
+            window.__gpp.queue = queue;
+        }
+
+        if (!window.frames['__gppLocator'] && document.body) {
+            const locator = document.createElement('iframe');
+            locator.name = '__gppLocator';
+            locator.style.display = 'none';
+            locator.setAttribute('aria-hidden', 'true');
+            locator.tabIndex = -1;
+            document.body.appendChild(locator);
+        }
+
+        if (!window.__gppMessageBridge) {
+            window.__gppMessageBridge = true;
+            window.addEventListener('message', (event) => {
+                let data = event.data;
+                const isString = typeof data === 'string';
+                if (isString) {
+                    try {
+                        data = JSON.parse(data);
+                    } catch (error) {
+                        return;
+                    }
+                }
+
+                const call = data && data.__gppCall;
+                if (!call || !event.source) return;
+
+                window.__gpp(call.command, (returnValue, success) => {
+                    const message = { __gppReturn: { returnValue, success, callId: call.callId } };
+                    event.source.postMessage(isString ? JSON.stringify(message) : message, '*');
+                }, call.parameter, call.version);
+            });
+        }
+    }
+
+    handleCommand(command, callback, parameter) {
+        if (typeof callback !== 'function') return;
+
+        switch (command) {
+            case 'ping':
+                callback(this.getPingData(), true);
+                break;
+            case 'addEventListener': {
+                const listenerId = this.nextListenerId++;
+                this.listeners.set(listenerId, callback);
+                callback(this.buildEvent('listenerRegistered', true, listenerId), true);
+                break;
+            }
+            case 'removeEventListener':
+                callback(this.listeners.delete(parameter), true);
+                break;
+            case 'hasSection':
+                callback(Boolean(this.parsedSections[parameter]), true);
+                break;
+            case 'getSection':
+                callback(this.parsedSections[parameter] || null, true);
+                break;
+            case 'getField': {
+                const [section, field] = String(parameter).split('.');
+                const values = this.parsedSections[section];
+                callback(values && field in values ? values[field] : null, true);
+                break;
+            }
+            default:
+                callback(null, false);
+        }
+    }
+
+    getPingData() {
+        return {
+            gppVersion: GPP_VERSION,
+            cmpStatus: 'loaded',
+            cmpDisplayStatus: this.consentManager.bannerShown ? 'visible' : 'hidden',
+            signalStatus: 'ready',
+            supportedAPIs: Object.keys(GPP_SECTIONS).map(name => `${GPP_SECTIONS[name].id}:${name}`),
+            cmpId: this.options.cmpId,
+            sectionList: this.options.sections.map(name => GPP_SECTIONS[name].id),
+            applicableSections: this.getApplicableSections(),
+            gppString: this.gppString,
+            parsedSections: this.parsedSections
+        };
+    }
+
+    // State section for US visitors in a supported state, usnat for other US visitors, -1 elsewhere
+    getApplicableSections() {
+        const applicable = this.options.applicableSections;
+        if (typeof applicable === 'function') return applicable();
+        if (Array.isArray(applicable)) return applicable;
+
+        const { country, region } = this.consentManager.getRegion();
+        if (country !== 'US') return [-1];
+
+        const stateSection = region ? 'us' + region.toLowerCase() : null;
+        if (stateSection && this.options.sections.includes(stateSection)) {
+            return [GPP_SECTIONS[stateSection].id];
+        }
+        return [GPP_SECTIONS.usnat.id];
+    }
+
+    // Rebuild section values and the GPP string from the current preferences
+    update() {
+        const preferences = this.consentManager.preferences || {};
+        const gpc = this.consentManager.hasGlobalPrivacyControl();
+        const advertisingDenied = Boolean(preferences.consentGiven && !preferences.advertising);
+        const optedOut = Boolean(preferences.saleOptOut || gpc || advertisingDenied);
+
+        // 1 = notice given / opted out, 2 = no notice / did not opt out, 0 = not applicable
+        const values = {
+            SharingNotice: 1,
+            SaleOptOutNotice: 1,
+            SharingOptOutNotice: 1,
+            TargetedAdvertisingOptOutNotice: 1,
+            SensitiveDataProcessingOptOutNotice: 0,
+            SensitiveDataLimitUseNotice: 0,
+            SaleOptOut: optedOut ? 1 : 2,
+            SharingOptOut: optedOut ? 1 : 2,
+            TargetedAdvertisingOptOut: optedOut ? 1 : 2,
+            SensitiveDataProcessing: [],
+            KnownChildSensitiveDataConsents: [],
+            PersonalDataConsents: 0,
+            MspaCoveredTransaction: 2,
+            MspaOptOutOptionMode: 0,
+            MspaServiceProviderMode: 0,
+            Gpc: gpc
+        };
+
+        const sections = {};
+        this.options.sections.forEach(name => {
+            sections[name] = { ...values, Version: GPP_SECTIONS[name].version };
+        });
+
+        this.parsedSections = sections;
+        this.gppString = GPPString.encode(sections);
+    }
+
+    buildEvent(eventName, data, listenerId) {
+        return {
+            eventName,
+            listenerId,
+            data,
+            pingData: this.getPingData()
+        };
+    }
+
+    notifyListeners(eventName, data) {
+        this.listeners.forEach((callback, listenerId) => {
+            callback(this.buildEvent(eventName, data, listenerId), true);
+        });
+    }
+}
+
+// Install the __gpp stub as early as possible so vendor calls are queued
+GppApi.installStub();
+
+// Initialize when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
+document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap || !window.consentManager) return;
+    window.gppApi = new GppApi(window.consentManager);
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GppApi, GPPString, GPP_SECTIONS };
+}
@@ -0,0 +1,361 @@
+/**
+ * Performance Monitor
+ * Measures Core Web Vitals (LCP, INP, CLS, FCP, TTFB) with PerformanceObserver and rates them
+ * against Google's thresholds, with attribution (LCP element, slowest interaction target, largest
+ * layout shift source). Also summarizes navigation and resource timing and long tasks. Every
+ * metric is reported once per page: as soon as it is final, or when the page is first hidden
+ */
+
+// [good, poor]: up to the first value is good, above the second is poor
+const WEB_VITAL_THRESHOLDS = {
+    LCP: [2500, 4000],
+    INP: [200, 500],
+    CLS: [0.1, 0.25],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+const RESOURCE_TYPES = {
+    img: 'image',
+    image: 'image',
+    css: 'style',
+    link: 'style',
+    script: 'script',
+    font: 'font'
+};
+
+class PerformanceMonitor {
+    constructor(options = {}) {
+        this.options = {
+            // Called as report(eventName, parameters) for web_vital, page_timing and long_tasks
+            report: () => {},
+            // Interactions shorter than this (ms) are not observed; INP below it counts as good anyway
+            durationThreshold: 40,
+            ...options
+        };
+
+        this.reported = new Set();
+        this.navigation = this.getNavigationEntry();
+        this.lcp = null;
+        this.cls = { supported: false, value: 0, windowValue: 0, windowEntries: [], entries: [] };
+        // Longest entry per interaction id, longest first (the 10 worst are enough for INP)
+        this.interactions = [];
+        this.longTasks = { count: 0, totalTime: 0, longest: null };
+        this.observers = [];
+
+        if (typeof PerformanceObserver === 'undefined') return;
+
+        this.observeFcp();
+        this.observeLcp();
+        this.observeCls();
+        this.observeInteractions();
+        this.observeLongTasks();
+        this.setupReporting();
+    }
+
+    getNavigationEntry() {
+        if (!window.performance || typeof performance.getEntriesByType !== 'function') return null;
+        return performance.getEntriesByType('navigation')[0] || null;
+    }
+
+    // Prerendered pages start counting when they are shown, not when they were loaded
+    getActivationStart() {
+        return this.navigation && this.navigation.activationStart ? this.navigation.activationStart : 0;
+    }
+
+    getNavigationType() {
+        if (document.prerendering || this.getActivationStart() > 0) return 'prerender';
+        return this.navigation ? this.navigation.type.replace(/_/g, '-') : 'navigate';
+    }
+
+    // Returns false when the browser doesn't support the entry type
+    observe(type, callback, options = {}) {
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push({ observer, callback });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    observeFcp() {
+        this.observe('paint', entries => {
+            const entry = entries.find(item => item.name === 'first-contentful-paint');
+            if (entry) {
+                this.reportMetric('FCP', Math.max(entry.startTime - this.getActivationStart(), 0), {});
+            }
+        });
+    }
+
+    // LCP stops changing once the visitor interacts or the page is hidden
+    observeLcp() {
+        const supported = this.observe('largest-contentful-paint', entries => {
+            const entry = entries[entries.length - 1];
+            if (entry) {
+                this.lcp = entry;
+            }
+        });
+        if (!supported) return;
+
+        const finalize = () => this.reportLcp();
+        ['keydown', 'pointerdown'].forEach(eventName => {
+            window.addEventListener(eventName, finalize, { once: true, capture: true });
+        });
+    }
+
+    reportLcp() {
+        if (!this.lcp || this.reported.has('LCP')) return;
+
+        const entry = this.lcp;
+        this.reportMetric('LCP', Math.max(entry.startTime - this.getActivationStart(), 0), {
+            metric_target: this.getSelector(entry.element) || entry.id || undefined,
+            metric_target_url: entry.url || undefined,
+            lcp_resource_load_time: entry.url ? Math.round(entry.loadTime || entry.renderTime || 0) : undefined
+        });
+    }
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+    observeCls() {
+        this.cls.supported = this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                const first = this.cls.windowEntries[0];
+                const last = this.cls.windowEntries[this.cls.windowEntries.length - 1];
+                if (first && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                    this.cls.windowValue += entry.value;
+                    this.cls.windowEntries.push(entry);
+                } else {
+                    this.cls.windowValue = entry.value;
+                    this.cls.windowEntries = [entry];
+                }
+
+                if (this.cls.windowValue > this.cls.value) {
+                    this.cls.value = this.cls.windowValue;
+                    this.cls.entries = this.cls.windowEntries.slice();
+                }
+            });
+        });
+    }
+
+    // Browsers without layout-shift entries would report a misleading 0
+    reportCls() {
+        if (!this.cls.supported) return;
+
+        const largest = this.cls.entries.reduce((max, entry) => !max || entry.value > max.value ? entry : max, null);
+        const source = largest && largest.sources ? largest.sources.find(item => item.node) : null;
+
+        this.reportMetric('CLS', this.cls.value, {
+            metric_target: source ? this.getSelector(source.node) : undefined,
+            largest_shift_value: largest ? this.round(largest.value, 4) : undefined,
+            largest_shift_time: largest ? Math.round(largest.startTime) : undefined
+        });
+    }
+
+    observeInteractions() {
+        const record = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+
+                const existing = this.interactions.find(item => item.interactionId === entry.interactionId);
+                if (existing && existing.duration >= entry.duration) return;
+
+                this.interactions = this.interactions.filter(item => item !== existing);
+                this.interactions.push(entry);
+                this.interactions.sort((a, b) => b.duration - a.duration);
+                this.interactions.length = Math.min(this.interactions.length, 10);
+            });
+        };
+
+        if (this.observe('event', record, { durationThreshold: this.options.durationThreshold })) {
+            // The first input can be shorter than the threshold
+            this.observe('first-input', record);
+        }
+    }
+
+    // INP approximates the 98th percentile: the worst interaction, skipping one for every 50
+    reportInp() {
+        if (!this.interactions.length) return;
+
+        const count = performance.interactionCount || this.interactions.length;
+        const entry = this.interactions[Math.min(this.interactions.length - 1, Math.floor(count / 50))];
+
+        this.reportMetric('INP', entry.duration, {
+            metric_target: this.getSelector(entry.target),
+            interaction_type: entry.name,
+            input_delay: Math.round(entry.processingStart - entry.startTime),
+            processing_time: Math.round(entry.processingEnd - entry.processingStart),
+            presentation_delay: Math.round(Math.max(entry.startTime + entry.duration - entry.processingEnd, 0))
+        });
+    }
+
+    observeLongTasks() {
+        this.observe('longtask', entries => {
+            entries.forEach(entry => {
+                this.longTasks.count++;
+                this.longTasks.totalTime += entry.duration;
+                if (!this.longTasks.longest || entry.duration > this.longTasks.longest.duration) {
+                    this.longTasks.longest = entry;
+                }
+            });
+        });
+    }
+
+    reportLongTasks() {
+        if (!this.longTasks.count || this.reported.has('long_tasks')) return;
+        this.reported.add('long_tasks');
+
+        const longest = this.longTasks.longest;
+        const attribution = longest.attribution && longest.attribution[0];
+        this.options.report('long_tasks', {
+            long_task_count: this.longTasks.count,
+            long_task_total_time: Math.round(this.longTasks.totalTime),
+            longest_task_time: Math.round(longest.duration),
+            longest_task_source: attribution ? attribution.containerSrc || attribution.containerName || attribution.name : longest.name
+        });
+    }
+
+    // TTFB is final once the response starts; navigation and resource timing once the load event has finished
+    reportTiming() {
+        this.navigation = this.getNavigationEntry() || this.navigation;
+        const nav = this.navigation;
+        if (!nav || !nav.responseStart) return;
+
+        const activationStart = this.getActivationStart();
+        this.reportMetric('TTFB', Math.max(nav.responseStart - activationStart, 0), {
+            dns_time: Math.round(nav.domainLookupEnd - nav.domainLookupStart),
+            connect_time: Math.round(nav.connectEnd - nav.connectStart),
+            request_time: Math.round(nav.responseStart - nav.requestStart)
+        });
+
+        if (!nav.loadEventEnd || this.reported.has('page_timing')) return;
+        this.reported.add('page_timing');
+
+        this.options.report('page_timing', {
+            navigation_type: this.getNavigationType(),
+            dom_interactive: Math.round(nav.domInteractive - activationStart),
+            dom_content_loaded: Math.round(nav.domContentLoadedEventEnd - activationStart),
+            load_time: Math.round(nav.loadEventEnd - activationStart),
+            page_transfer_size: nav.transferSize || 0,
+            ...this.getResourceSummary()
+        });
+    }
+
+    // Counts and bytes per resource type, plus the slowest resource
+    getResourceSummary() {
+        const entries = performance.getEntriesByType('resource');
+        const summary = { resource_count: entries.length, resource_transfer_size: 0 };
+        let slowest = null;
+
+        entries.forEach(entry => {
+            const type = RESOURCE_TYPES[entry.initiatorType] || 'other';
+            summary[`${type}_count`] = (summary[`${type}_count`] || 0) + 1;
+            summary.resource_transfer_size += entry.transferSize || 0;
+            if (!slowest || entry.duration > slowest.duration) {
+                slowest = entry;
+            }
+        });
+
+        if (slowest) {
+            summary.slowest_resource = slowest.name;
+            summary.slowest_resource_time = Math.round(slowest.duration);
+        }
+        return summary;
+    }
+
+    setupReporting() {
+        const onLoad = () => setTimeout(() => this.reportTiming(), 0);
+        if (document.readyState === 'complete') {
+            onLoad();
+        } else {
+            window.addEventListener('load', onLoad, { once: true });
+        }
+
+        // Late metrics are final when the page is first hidden (tab switch, navigation, close)
+        const onHidden = () => {
+            if (document.visibilityState !== 'hidden') return;
+            this.finalize();
+        };
+        document.addEventListener('visibilitychange', onHidden);
+        window.addEventListener('pagehide', () => this.finalize());
+    }
+
+    finalize() {
+        // Entries the observers haven't delivered yet
+        this.observers.forEach(({ observer, callback }) => {
+            if (typeof observer.takeRecords === 'function') {
+                callback(observer.takeRecords());
+            }
+        });
+
+        this.reportTiming();
+        this.reportLcp();
+        this.reportCls();
+        this.reportInp();
+        this.reportLongTasks();
+    }
+
+    reportMetric(name, value, attribution) {
+        if (this.reported.has(name)) return;
+        this.reported.add(name);
+
+        const rounded = name === 'CLS' ? this.round(value, 4) : Math.round(value);
+        const parameters = {
+            metric_name: name,
+            metric_value: rounded,
+            metric_rating: this.getRating(name, rounded),
+            metric_id: `${name.toLowerCase()}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+            navigation_type: this.getNavigationType()
+        };
+
+        Object.keys(attribution).forEach(key => {
+            if (attribution[key] !== undefined && attribution[key] !== null && attribution[key] !== '') {
+                parameters[key] = attribution[key];
+            }
+        });
+
+        this.options.report('web_vital', parameters);
+    }
+
+    getRating(name, value) {
+        const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    // Short CSS path such as "section#rooms>div.room-card>img"; stops at the nearest id
+    getSelector(node) {
+        if (!node || node.nodeType !== 1) return '';
+
+        const parts = [];
+        let current = node;
+        while (current && current.nodeType === 1 && current !== document.documentElement && parts.length < 5) {
+            let part = current.tagName.toLowerCase();
+            if (current.id) {
+                parts.unshift(`${part}#${current.id}`);
+                break;
+            }
+
+            const classes = Array.from(current.classList).slice(0, 2);
+            if (classes.length) {
+                part += '.' + classes.join('.');
+            }
+            parts.unshift(part);
+            current = current.parentElement;
+        }
+        return parts.join('>').slice(0, 100);
+    }
+
+    round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceMonitor;
+    module.exports.WEB_VITAL_THRESHOLDS = WEB_VITAL_THRESHOLDS;
+}
@@ -0,0 +1,167 @@
+/**
+ * PII Redactor
+ * Sanitizes event parameters before they leave the page: redacts email addresses, phone numbers,
+ * personal names and street addresses in any string, strips sensitive query parameters from
+ * URLs and applies a per-event allow-list of parameters
+ */
+
+const REDACTION_PATTERNS = [
+    { type: 'email', pattern: /[A-Z0-9._%+-]+(?:@|%40)[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    // +1 555 987 6543, (555) 987-6543, 555.987.6543, +44 20 7946 0958; digit runs inside longer numbers (timestamps, ids) are left alone
+    { type: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\d)|(?<![\w+])\+\d[\d\s().-]{7,}\d(?!\d)/g },
+    { type: 'address', pattern: /\b\d{1,5}\s+(?:[A-Z][A-Za-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy)\b\.?/g },
+    { type: 'name', pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr)\.?\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g }
+];
+
+// Parameter and query keys whose value is a person's name
+const NAME_KEY = /^(?:(?:first|last|full|given|family|middle|sur|guest|customer|contact|billing|user)[_-]?)?name$/i;
+
+// Events whose other parameters can carry personal data (the number dialled, free-form field names)
+const DEFAULT_ALLOW_LIST = {
+    phone_click: ['event_category', 'event_label'],
+    form_field_focus: ['event_category', 'field_type', 'form_id'],
+    form_submit: ['event_category', 'form_id', 'form_name', 'form_action', 'form_method']
+};
+
+// Values written by the tracker itself (ids and timestamps), never scanned
+const EXEMPT_PARAMETERS = [
+    'event', 'page_view_id', 'timestamp', 'visitor_id', 'session_id', 'session_number',
+    'session_page_count', 'session_engaged_time', 'last_touch_click_id', 'linker_status', 'redacted_fields'
+];
+
+class PiiRedactor {
+    constructor(options = {}) {
+        this.options = {
+            // Query parameters removed from every URL-valued parameter (page_location, link_url, ...)
+            stripQueryParameters: [
+                'email', 'e', 'mail', 'phone', 'tel', 'mobile', 'name', 'first_name', 'last_name',
+                'firstname', 'lastname', 'address', 'street', 'zip', 'postcode', 'postal_code',
+                'token', 'password', 'pass', 'key', 'auth', 'session', '_gl'
+            ],
+            // { event_name: ['param', 'prefix_*'] }: only these parameters (plus the tracker's own) are kept;
+            // merged over DEFAULT_ALLOW_LIST
+            allowList: {},
+            exemptParameters: [],
+            ...options
+        };
+
+        this.allowList = { ...DEFAULT_ALLOW_LIST, ...this.options.allowList };
+        this.exempt = new Set([...EXEMPT_PARAMETERS, ...this.options.exemptParameters]);
+        this.strip = this.options.stripQueryParameters.map(name => name.toLowerCase());
+    }
+
+    // Sanitized copy of the event; `redacted_fields` counts the parameters changed or dropped
+    sanitize(eventData) {
+        const allowed = this.allowList[eventData.event];
+        const result = {};
+        let redacted = 0;
+
+        Object.keys(eventData).forEach(key => {
+            if (this.exempt.has(key)) {
+                result[key] = eventData[key];
+                return;
+            }
+
+            if (allowed && !this.matchesAny(key, allowed) && !this.isTrackerParameter(key)) {
+                redacted++;
+                return;
+            }
+
+            const value = NAME_KEY.test(key) && typeof eventData[key] === 'string' && eventData[key]
+                ? '[redacted_name]'
+                : this.sanitizeValue(eventData[key]);
+            if (JSON.stringify(value) !== JSON.stringify(eventData[key])) {
+                redacted++;
+            }
+            result[key] = value;
+        });
+
+        result.redacted_fields = redacted;
+        return result;
+    }
+
+    // Session and attribution parameters are added by the tracker and pass every allow-list
+    isTrackerParameter(key) {
+        return /^(session_|first_touch_|last_touch_)/.test(key);
+    }
+
+    matchesAny(key, names) {
+        return names.some(name => name.endsWith('*') ? key.startsWith(name.slice(0, -1)) : name === key);
+    }
+
+    sanitizeValue(value) {
+        if (typeof value === 'string') return this.sanitizeString(value);
+        if (Array.isArray(value)) return value.map(item => this.sanitizeValue(item));
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = NAME_KEY.test(key) && typeof value[key] === 'string' && value[key]
+                    ? '[redacted_name]'
+                    : this.sanitizeValue(value[key]);
+            });
+            return copy;
+        }
+        return value;
+    }
+
+    sanitizeString(value) {
+        if (/^mailto:/i.test(value)) return 'mailto:[redacted_email]';
+        if (/^tel:/i.test(value)) return 'tel:[redacted_phone]';
+        if (/^https?:\/\//i.test(value)) return this.sanitizeUrl(value);
+        return this.redactText(value);
+    }
+
+    redactText(text) {
+        return REDACTION_PATTERNS.reduce((result, { type, pattern }) => result.replace(pattern, `[redacted_${type}]`), text);
+    }
+
+    // Drop stripped query parameters and redact the rest; the URL is only rebuilt when something changed
+    sanitizeUrl(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (error) {
+            return this.redactText(href);
+        }
+
+        let changed = false;
+        Array.from(url.searchParams.keys()).forEach(name => {
+            if (this.strip.includes(name.toLowerCase())) {
+                url.searchParams.delete(name);
+                changed = true;
+            }
+        });
+
+        const params = Array.from(url.searchParams.entries()).map(([name, value]) => {
+            const clean = NAME_KEY.test(name) && value ? '[redacted_name]' : this.redactText(value);
+            changed = changed || clean !== value;
+            return [name, clean];
+        });
+
+        const path = this.redactText(this.decode(url.pathname));
+        const hash = this.redactText(this.decode(url.hash));
+        if (path !== this.decode(url.pathname) || hash !== this.decode(url.hash)) {
+            changed = true;
+        }
+
+        if (!changed) return href;
+
+        url.search = new URLSearchParams(params).toString();
+        url.pathname = path;
+        url.hash = hash;
+        return url.toString();
+    }
+
+    decode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PiiRedactor;
+}
@@ -0,0 +1,192 @@
+/**
+ * Region Resolver
+ * Resolves the visitor's country and privacy jurisdiction through a strategy chain:
+ * edge hint (meta tag or cookie) -> cached result -> optional geo endpoint -> timezone heuristic
+ */
+
+// ISO 3166-1 alpha-2 codes for the EEA (EU + Iceland, Liechtenstein, Norway), plus the EU
+// territories with codes of their own (Åland and the French outermost regions)
+const EEA_COUNTRIES = [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO',
+    'AX', 'GF', 'GP', 'MQ', 'RE', 'YT', 'MF'
+];
+
+// The UK with Gibraltar and the Crown Dependencies, whose data protection laws follow the UK GDPR
+const UK_COUNTRIES = ['GB', 'GI', 'JE', 'GG', 'IM'];
+
+// IANA timezone -> ISO 3166 country (optionally with subdivision) for the timezone heuristic
+const TIMEZONE_REGIONS = {
+    'europe/vienna': 'AT', 'europe/brussels': 'BE', 'europe/sofia': 'BG', 'europe/zagreb': 'HR',
+    'asia/nicosia': 'CY', 'europe/nicosia': 'CY', 'asia/famagusta': 'CY', 'europe/prague': 'CZ',
+    'europe/copenhagen': 'DK', 'europe/tallinn': 'EE', 'europe/helsinki': 'FI', 'europe/mariehamn': 'FI',
+    'europe/paris': 'FR', 'europe/berlin': 'DE', 'europe/busingen': 'DE', 'europe/athens': 'GR',
+    'europe/budapest': 'HU', 'europe/dublin': 'IE', 'europe/rome': 'IT', 'europe/riga': 'LV',
+    'europe/vilnius': 'LT', 'europe/luxembourg': 'LU', 'europe/malta': 'MT', 'europe/amsterdam': 'NL',
+    'europe/warsaw': 'PL', 'europe/lisbon': 'PT', 'atlantic/madeira': 'PT', 'atlantic/azores': 'PT',
+    'europe/bucharest': 'RO', 'europe/bratislava': 'SK', 'europe/ljubljana': 'SI', 'europe/madrid': 'ES',
+    'africa/ceuta': 'ES', 'atlantic/canary': 'ES', 'europe/stockholm': 'SE', 'atlantic/reykjavik': 'IS',
+    'europe/vaduz': 'LI', 'europe/oslo': 'NO', 'arctic/longyearbyen': 'NO',
+    'america/cayenne': 'GF', 'america/guadeloupe': 'GP', 'america/martinique': 'MQ',
+    'america/marigot': 'MF', 'indian/reunion': 'RE', 'indian/mayotte': 'YT',
+    'europe/london': 'GB', 'europe/belfast': 'GB', 'europe/gibraltar': 'GI', 'europe/jersey': 'JE',
+    'europe/guernsey': 'GG', 'europe/isle_of_man': 'IM', 'europe/zurich': 'CH',
+    'america/new_york': 'US', 'america/chicago': 'US', 'america/denver': 'US', 'america/los_angeles': 'US',
+    'america/phoenix': 'US-AZ', 'america/anchorage': 'US-AK', 'pacific/honolulu': 'US-HI',
+    'america/detroit': 'US-MI', 'america/boise': 'US-ID', 'america/indiana/indianapolis': 'US-IN',
+    'america/kentucky/louisville': 'US-KY'
+};
+
+class RegionResolver {
+    constructor(options = {}) {
+        this.options = {
+            metaName: 'geo-country',
+            cookieName: 'geo_country',
+            // Optional first-party endpoint returning { country, region }
+            geoEndpoint: null,
+            geoTimeout: 1500,
+            cacheKey: 'motel_region',
+            ...options
+        };
+
+        this.region = null;
+    }
+
+    // Full chain including the geo endpoint; the result is cached for the session
+    async resolve() {
+        const quick = this.readHint() || this.readCache();
+        if (quick) {
+            return this.setRegion(quick);
+        }
+
+        if (this.options.geoEndpoint) {
+            const fromEndpoint = await this.fetchEndpoint();
+            if (fromEndpoint) {
+                return this.setRegion(fromEndpoint);
+            }
+        }
+
+        return this.setRegion(this.guessFromTimezone());
+    }
+
+    // Synchronous chain for callers that can't wait (no network lookup)
+    resolveSync() {
+        if (this.region) return this.region;
+        return this.setRegion(this.readHint() || this.readCache() || this.guessFromTimezone());
+    }
+
+    setRegion(region) {
+        this.region = region;
+
+        // Heuristic guesses stay in memory so a later endpoint lookup can replace them
+        if (region.source !== 'timezone' && region.source !== 'language' && region.source !== 'cache') {
+            try {
+                sessionStorage.setItem(this.options.cacheKey, JSON.stringify(region));
+            } catch (error) {
+                // Storage unavailable (private mode); keep the in-memory result
+            }
+        }
+
+        return region;
+    }
+
+    // <meta name="geo-country" content="US-CO"> or a geo_country=FR cookie set by the edge
+    readHint() {
+        const meta = document.querySelector(`meta[name="${this.options.metaName}"]`);
+        if (meta && meta.content) {
+            return this.buildRegion(meta.content, 'meta');
+        }
+
+        const prefix = this.options.cookieName + '=';
+        const cookie = document.cookie.split('; ').find(entry => entry.startsWith(prefix));
+        if (cookie) {
+            return this.buildRegion(decodeURIComponent(cookie.substring(prefix.length)), 'cookie');
+        }
+
+        return null;
+    }
+
+    readCache() {
+        try {
+            const cached = JSON.parse(sessionStorage.getItem(this.options.cacheKey));
+            if (cached && cached.jurisdiction) {
+                return { ...cached, source: 'cache' };
+            }
+        } catch (error) {
+            // Ignore unreadable cache entries
+        }
+        return null;
+    }
+
+    async fetchEndpoint() {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.options.geoTimeout) : null;
+
+        try {
+            const response = await fetch(this.options.geoEndpoint, {
+                credentials: 'same-origin',
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const code = data.region && !String(data.region).includes('-')
+                ? `${data.country}-${data.region}`
+                : data.region || data.country;
+            return code ? this.buildRegion(code, 'endpoint') : null;
+        } catch (error) {
+            console.warn('Geo endpoint lookup failed:', error);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Timezone first; the language region subtag (e.g. de-AT) only when the timezone is ambiguous
+    guessFromTimezone() {
+        const timezone = (Intl.DateTimeFormat().resolvedOptions().timeZone || '').toLowerCase();
+
+        if (TIMEZONE_REGIONS[timezone]) {
+            return this.buildRegion(TIMEZONE_REGIONS[timezone], 'timezone');
+        }
+
+        const isAmbiguous = !timezone || timezone === 'utc' || timezone.startsWith('etc/');
+        if (isAmbiguous) {
+            const match = /^[a-z]{2,3}-([a-z]{2})$/i.exec(navigator.language || '');
+            if (match) {
+                return this.buildRegion(match[1], 'language');
+            }
+            return { country: null, region: null, jurisdiction: 'unknown', source: 'default' };
+        }
+
+        // Every EEA/UK/CH timezone is listed above, so anything else is outside them
+        return { country: null, region: null, jurisdiction: 'other', source: 'timezone' };
+    }
+
+    // "US-CO" -> { country: 'US', region: 'CO', jurisdiction: 'US-CO' }
+    buildRegion(code, source) {
+        const [country, region] = String(code).trim().toUpperCase().split('-');
+        return {
+            country: country || null,
+            region: region || null,
+            jurisdiction: RegionResolver.getJurisdiction(country, region),
+            source
+        };
+    }
+
+    static getJurisdiction(country, region) {
+        if (!country) return 'unknown';
+        if (EEA_COUNTRIES.includes(country)) return 'EEA';
+        if (UK_COUNTRIES.includes(country) || country === 'UK') return 'UK';
+        if (country === 'CH') return 'CH';
+        if (country === 'US') return region ? `US-${region}` : 'US';
+        return 'other';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RegionResolver, EEA_COUNTRIES, UK_COUNTRIES };
+}
@@ -0,0 +1,225 @@
+/**
+ * Scroll Tracker
+ * Sends page_scroll when the page passes a percentage or pixel threshold, and element_scroll for
+ * scrollable containers tagged with data-track-scroll (e.g. a gallery carousel). Each threshold
+ * fires once per page; evaluation is debounced and repeated when the viewport or content size
+ * changes, and everything starts over on SPA route changes
+ *
+ * <div class="gallery" data-track-scroll="gallery"> ... </div>
+ */
+
+class ScrollTracker {
+    constructor(options = {}) {
+        this.options = {
+            // Share of the scrollable distance, in percent
+            thresholds: [25, 50, 75, 100],
+            // Distance scrolled from the top, in px
+            pixelThresholds: [],
+            // Percent thresholds for tagged containers
+            containerThresholds: [25, 50, 75, 100],
+            containerSelector: '[data-track-scroll]',
+            // ms of quiet after scrolling or resizing before thresholds are checked
+            debounce: 100,
+            // Reset when history.pushState changes the path (besides popstate and motel:routechange)
+            watchHistory: true,
+            // Called as report(eventName, parameters) for page_scroll and element_scroll
+            report: () => {},
+            ...options
+        };
+
+        this.route = window.location.pathname;
+        this.pendingContainers = new Set();
+        this.timer = null;
+        this.reset();
+
+        this.setupListeners();
+        this.watchRouteChanges();
+    }
+
+    // Forget reached thresholds, e.g. after an SPA route change
+    reset() {
+        this.startTime = Date.now();
+        this.reached = new Set();
+        this.maxDepth = 0;
+        this.fullyVisibleChecked = false;
+        this.containers = new WeakMap();
+        this.pendingContainers.clear();
+
+        if (document.readyState === 'complete') {
+            this.schedule();
+        }
+    }
+
+    setupListeners() {
+        // Scroll events don't bubble, so containers are caught in the capture phase
+        document.addEventListener('scroll', (e) => {
+            const target = e.target;
+            if (target === document || target === document.documentElement || target === document.body) {
+                this.schedule();
+            } else if (target.matches && target.matches(this.options.containerSelector)) {
+                this.schedule(target);
+            }
+        }, { capture: true, passive: true });
+
+        window.addEventListener('resize', () => this.schedule(), { passive: true });
+
+        // Late images and rendered content change the page height
+        if ('ResizeObserver' in window) {
+            new ResizeObserver(() => this.schedule()).observe(document.body);
+        }
+
+        // A page that already fits the viewport is judged once it has loaded
+        if (document.readyState !== 'complete') {
+            window.addEventListener('load', () => this.schedule(), { once: true });
+        }
+    }
+
+    watchRouteChanges() {
+        const onRouteChange = () => {
+            if (window.location.pathname === this.route) return;
+
+            this.route = window.location.pathname;
+            this.reset();
+        };
+
+        window.addEventListener('popstate', onRouteChange);
+        // Routers without pushState (or that change only the query) can announce routes themselves
+        window.addEventListener('motel:routechange', () => {
+            this.route = window.location.pathname;
+            this.reset();
+        });
+
+        if (this.options.watchHistory && window.history && typeof window.history.pushState === 'function') {
+            const pushState = window.history.pushState;
+            window.history.pushState = function(...args) {
+                const result = pushState.apply(this, args);
+                onRouteChange();
+                return result;
+            };
+        }
+    }
+
+    schedule(container = null) {
+        if (container) {
+            this.pendingContainers.add(container);
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.evaluate(), this.options.debounce);
+    }
+
+    evaluate() {
+        this.evaluatePage();
+
+        this.pendingContainers.forEach(container => this.evaluateContainer(container));
+        this.pendingContainers.clear();
+    }
+
+    measurePage() {
+        const root = document.scrollingElement || document.documentElement;
+        const viewportHeight = window.innerHeight || root.clientHeight;
+
+        return {
+            scrolled: Math.max(window.scrollY || root.scrollTop || 0, 0),
+            scrollable: root.scrollHeight - viewportHeight,
+            pageHeight: root.scrollHeight,
+            viewportHeight
+        };
+    }
+
+    evaluatePage() {
+        const { scrolled, scrollable, pageHeight, viewportHeight } = this.measurePage();
+        const details = { page_height: pageHeight, viewport_height: viewportHeight };
+
+        // Nothing to scroll: the whole page was seen, reported once as 100%
+        if (scrollable <= 1) {
+            if (this.fullyVisibleChecked || document.readyState !== 'complete') return;
+            this.fullyVisibleChecked = true;
+
+            this.maxDepth = 100;
+            if (!this.options.thresholds.length || this.options.thresholds.every(threshold => this.reached.has(`percent:${threshold}`))) return;
+
+            this.options.thresholds.forEach(threshold => this.reached.add(`percent:${threshold}`));
+            this.reportPage(100, 'percent', 100, { ...details, page_fully_visible: true });
+            return;
+        }
+
+        const depth = Math.min(Math.round((scrolled / scrollable) * 100), 100);
+        this.maxDepth = Math.max(this.maxDepth, depth);
+
+        this.options.thresholds.forEach(threshold => {
+            if (depth >= threshold && !this.reached.has(`percent:${threshold}`)) {
+                this.reached.add(`percent:${threshold}`);
+                this.reportPage(threshold, 'percent', threshold, details);
+            }
+        });
+
+        this.options.pixelThresholds.forEach(threshold => {
+            if (scrolled >= threshold && !this.reached.has(`pixels:${threshold}`)) {
+                this.reached.add(`pixels:${threshold}`);
+                this.reportPage(depth, 'pixels', threshold, details);
+            }
+        });
+    }
+
+    reportPage(depth, type, threshold, details) {
+        this.options.report('page_scroll', {
+            event_category: 'engagement',
+            event_label: 'Page Scroll',
+            scroll_depth: depth,
+            threshold_type: type,
+            scroll_threshold: threshold,
+            page_fully_visible: false,
+            time_to_scroll: Date.now() - this.startTime,
+            ...details
+        });
+    }
+
+    // Horizontal containers (carousels) are measured along x unless data-track-scroll-axis says otherwise
+    getAxis(container) {
+        const axis = container.dataset.trackScrollAxis;
+        if (axis === 'x' || axis === 'y') return axis;
+        return container.scrollWidth > container.clientWidth && container.scrollHeight <= container.clientHeight ? 'x' : 'y';
+    }
+
+    evaluateContainer(container) {
+        if (!container.isConnected) return;
+
+        const axis = this.getAxis(container);
+        const scrolled = axis === 'x' ? Math.abs(container.scrollLeft) : container.scrollTop;
+        const scrollable = axis === 'x'
+            ? container.scrollWidth - container.clientWidth
+            : container.scrollHeight - container.clientHeight;
+        if (scrollable <= 1) return;
+
+        const depth = Math.min(Math.round((scrolled / scrollable) * 100), 100);
+        if (!this.containers.has(container)) {
+            this.containers.set(container, new Set());
+        }
+        const reached = this.containers.get(container);
+
+        this.options.containerThresholds.forEach(threshold => {
+            if (depth < threshold || reached.has(threshold)) return;
+
+            reached.add(threshold);
+            this.options.report('element_scroll', {
+                event_category: 'engagement',
+                event_label: 'Element Scroll',
+                scroll_container: container.dataset.trackScroll || container.id || 'unnamed_container',
+                scroll_axis: axis,
+                scroll_depth: threshold,
+                time_to_scroll: Date.now() - this.startTime
+            });
+        });
+    }
+
+    // Deepest percentage of the page seen since load or the last route change
+    getMaxDepth() {
+        return this.maxDepth;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScrollTracker;
+}
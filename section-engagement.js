@@ -0,0 +1,210 @@
+/**
+ * Section Engagement Tracker
+ * Follows the page sections tagged with data-track-section through IntersectionObserver and records
+ * for each one when it was first seen, how long it was on screen (only while the tab is visible
+ * and the visitor is active) and the largest share of it that was visible
+ *
+ * <section data-track-section="hero"> ... </section>
+ */
+
+class SectionEngagementTracker {
+    constructor(options = {}) {
+        this.options = {
+            selector: '[data-track-section]',
+            // A section is on screen when this share of it is visible, or it fills this share of the viewport
+            visibleThreshold: 0.5,
+            // On-screen time before section_view is sent
+            viewDwell: 1000,
+            // Called as report(eventName, parameters)
+            report: () => {},
+            ...options
+        };
+
+        this.pageStartTime = Date.now();
+        this.sections = [];
+        this.observed = new WeakSet();
+        this.observer = null;
+        // Dwell only accrues while the tab is visible and the visitor isn't idle
+        this.active = document.visibilityState !== 'hidden';
+        this.summarized = false;
+
+        if (!('IntersectionObserver' in window)) return;
+
+        const thresholds = Array.from({ length: 11 }, (value, index) => index / 10);
+        this.observer = new IntersectionObserver(entries => {
+            const now = Date.now();
+            entries.forEach(entry => this.handleIntersection(entry, now));
+        }, { threshold: thresholds });
+
+        this.refresh();
+
+        // Pick up sections rendered after load
+        if ('MutationObserver' in window) {
+            new MutationObserver(records => this.handleAddedNodes(records)).observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+        }
+    }
+
+    // Start observing tagged sections not yet observed
+    refresh() {
+        if (!this.observer) return;
+
+        this.addSections(document.querySelectorAll(this.options.selector));
+    }
+
+    // Only the inserted sections (and sections inside inserted subtrees), not the whole document
+    handleAddedNodes(records) {
+        const elements = [];
+        records.forEach(record => {
+            record.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return;
+
+                if (node.matches(this.options.selector)) {
+                    elements.push(node);
+                }
+                elements.push(...node.querySelectorAll(this.options.selector));
+            });
+        });
+
+        if (elements.length) {
+            this.addSections(elements);
+        }
+    }
+
+    addSections(elements) {
+        elements.forEach(element => {
+            if (this.observed.has(element)) return;
+
+            this.observed.add(element);
+            this.sections.push({
+                element,
+                name: this.getSectionName(element),
+                firstViewAt: null,
+                visible: false,
+                countingSince: null,
+                dwellTime: 0,
+                maxRatio: 0,
+                viewed: false,
+                viewTimer: null
+            });
+            this.observer.observe(element);
+        });
+
+        // Keep document order so section_index matches the page
+        this.sections.sort((a, b) => a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+    }
+
+    getSectionName(element) {
+        return element.dataset.trackSection || element.id || element.classList[0] || element.tagName.toLowerCase();
+    }
+
+    handleIntersection(entry, now) {
+        const section = this.sections.find(item => item.element === entry.target);
+        if (!section) return;
+
+        const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+        const viewportShare = viewportHeight ? entry.intersectionRect.height / viewportHeight : 0;
+
+        section.maxRatio = Math.max(section.maxRatio, entry.intersectionRatio);
+        section.visible = entry.isIntersecting &&
+            (entry.intersectionRatio >= this.options.visibleThreshold || viewportShare >= this.options.visibleThreshold);
+
+        if (section.visible && section.firstViewAt === null) {
+            section.firstViewAt = now;
+        }
+        this.update(section, now);
+    }
+
+    // Tab hidden or visitor idle (driven by MotelAnalytics' engagement tracking)
+    pause(now = Date.now()) {
+        this.active = false;
+        this.sections.forEach(section => this.update(section, now));
+    }
+
+    resume(now = Date.now()) {
+        this.active = true;
+        this.sections.forEach(section => this.update(section, now));
+    }
+
+    // Start or stop the dwell clock of a section to match its visibility and the page's activity
+    update(section, now) {
+        const counting = section.visible && this.active;
+
+        if (counting && section.countingSince === null) {
+            section.countingSince = now;
+            this.scheduleView(section);
+        } else if (!counting && section.countingSince !== null) {
+            section.dwellTime += now - section.countingSince;
+            section.countingSince = null;
+            clearTimeout(section.viewTimer);
+        }
+    }
+
+    getDwellTime(section, now) {
+        return section.dwellTime + (section.countingSince === null ? 0 : now - section.countingSince);
+    }
+
+    // section_view once the section has been on screen for viewDwell in total
+    scheduleView(section) {
+        if (section.viewed) return;
+
+        clearTimeout(section.viewTimer);
+        section.viewTimer = setTimeout(() => {
+            const now = Date.now();
+            if (section.viewed || section.countingSince === null) return;
+
+            section.viewed = true;
+            this.options.report('section_view', {
+                event_category: 'engagement',
+                section_name: section.name,
+                section_index: this.sections.indexOf(section) + 1,
+                time_to_view: section.firstViewAt - this.pageStartTime,
+                visible_ratio: this.round(section.maxRatio)
+            });
+        }, Math.max(this.options.viewDwell - this.getDwellTime(section, Date.now()), 0));
+    }
+
+    // Sent once when the page is left: a section_dwell per section that was on screen, then a
+    // section_engagement summary. GA4 only takes scalar parameters, so nothing is nested
+    summarize(now = Date.now()) {
+        if (this.summarized || !this.sections.length) return;
+        this.summarized = true;
+
+        let top = null;
+        this.sections.forEach((section, index) => {
+            const dwellTime = this.getDwellTime(section, now);
+            if (dwellTime > 0 && (!top || dwellTime > top.dwellTime)) {
+                top = { name: section.name, dwellTime };
+            }
+            if (section.firstViewAt === null) return;
+
+            this.options.report('section_dwell', {
+                event_category: 'engagement',
+                section_name: section.name,
+                section_index: index + 1,
+                section_viewed: section.viewed,
+                time_to_view: section.firstViewAt - this.pageStartTime,
+                dwell_time: dwellTime,
+                max_visible_ratio: this.round(section.maxRatio)
+            });
+        });
+
+        this.options.report('section_engagement', {
+            event_category: 'engagement',
+            sections_viewed: this.sections.filter(section => section.viewed).length,
+            sections_total: this.sections.length,
+            ...(top ? { top_section: top.name, top_section_time: top.dwellTime } : {})
+        });
+    }
+
+    round(ratio) {
+        return Math.round(ratio * 100) / 100;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SectionEngagementTracker;
+}
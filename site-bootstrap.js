@@ -0,0 +1,336 @@
+/**
+ * Site Bootstrap Loader
+ * Loads site-config.json and wires GTM, consent management and analytics for a motel tenant
+ */
+
+class SiteConfigError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'SiteConfigError';
+        this.field = field;
+    }
+}
+
+class SiteBootstrap {
+    constructor(options = {}) {
+        this.options = {
+            configUrl: 'site-config.json',
+            dataLayerName: 'dataLayer',
+            ...options
+        };
+
+        this.config = null;
+        this.regionResolver = null;
+        this.consentManager = null;
+        this.tcfApi = null;
+        this.gppApi = null;
+        this.tagGate = null;
+        this.consentSync = null;
+        this.analytics = null;
+        this.declarativeTracker = null;
+    }
+
+    async init() {
+        const config = await this.loadConfig();
+        this.validateConfig(config);
+        this.config = config;
+
+        await this.domReady();
+
+        // Resolve the visitor's region (edge hint, geo endpoint, timezone) before consent defaults
+        this.regionResolver = new RegionResolver(this.config.region || {});
+        await this.regionResolver.resolve();
+
+        this.setupDataLayer();
+        this.applyTheme();
+        this.applyFeatureFlags();
+        this.renderSpecialties();
+
+        // Consent defaults must reach the dataLayer before the GTM container loads
+        if (this.config.analytics.consentRequired !== false) {
+            this.consentManager = new ConsentManager(this.getConsentOptions());
+            window.consentManager = this.consentManager;
+
+            // Opt-in: relay the choice between the group's properties through a shared hub page
+            if (this.config.consentSync && this.config.consentSync.hubUrl) {
+                this.consentSync = new ConsentSync(this.consentManager, this.config.consentSync);
+            }
+
+            if (this.isFeatureEnabled('tcf')) {
+                this.tcfApi = new TcfApi(this.consentManager, this.getTcfOptions());
+                window.tcfApi = this.tcfApi;
+            }
+
+            if (this.isFeatureEnabled('gpp')) {
+                this.gppApi = new GppApi(this.consentManager, this.config.gpp || {});
+                window.gppApi = this.gppApi;
+            }
+        }
+
+        // Third-party tags marked with data-consent-category load once their category is granted
+        this.tagGate = new TagGate(this.consentManager);
+        window.tagGate = this.tagGate;
+
+        window[this.options.dataLayerName].push({
+            ga4MeasurementId: this.config.analytics.ga4Id
+        });
+        this.injectGTM(this.config.analytics.gtmId);
+
+        this.analytics = new MotelAnalytics(this.getAnalyticsOptions());
+        window.motelAnalytics = this.analytics;
+
+        this.declarativeTracker = new DeclarativeTracker(this.analytics);
+        window.declarativeTracker = this.declarativeTracker;
+
+        return this;
+    }
+
+    // Fetch the tenant configuration
+    async loadConfig() {
+        let response;
+        try {
+            response = await fetch(this.options.configUrl, { cache: 'no-cache' });
+        } catch (error) {
+            throw new SiteConfigError(`Unable to load ${this.options.configUrl}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new SiteConfigError(`Unable to load ${this.options.configUrl}: HTTP ${response.status}`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new SiteConfigError(`${this.options.configUrl} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    // Validate required ids and structure; throws SiteConfigError on the first problem
+    validateConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new SiteConfigError('Site config must be a JSON object');
+        }
+
+        const { motel, analytics, features } = config;
+
+        if (!motel || typeof motel.name !== 'string' || !motel.name.trim()) {
+            throw new SiteConfigError('motel.name is required', 'motel.name');
+        }
+
+        if (!analytics || typeof analytics !== 'object') {
+            throw new SiteConfigError('analytics section is required', 'analytics');
+        }
+
+        this.validateId(analytics.gtmId, /^GTM-[A-Z0-9]{4,10}$/, 'analytics.gtmId', config);
+        this.validateId(analytics.ga4Id, /^G-[A-Z0-9]{6,12}$/, 'analytics.ga4Id', config);
+
+        if (analytics.transport !== undefined) {
+            const { endpoint, format } = analytics.transport || {};
+            if (typeof endpoint !== 'string' || !endpoint) {
+                throw new SiteConfigError('analytics.transport.endpoint is required', 'analytics.transport.endpoint');
+            }
+            if (format !== undefined && !['json', 'ga4'].includes(format)) {
+                throw new SiteConfigError('analytics.transport.format must be "json" or "ga4"', 'analytics.transport.format');
+            }
+        }
+
+        if (motel.ga4Id && motel.ga4Id !== analytics.ga4Id) {
+            throw new SiteConfigError(
+                `motel.ga4Id (${motel.ga4Id}) does not match analytics.ga4Id (${analytics.ga4Id})`,
+                'motel.ga4Id'
+            );
+        }
+
+        if (features !== undefined) {
+            if (!features || typeof features !== 'object') {
+                throw new SiteConfigError('features must be an object of boolean flags', 'features');
+            }
+            Object.entries(features).forEach(([name, enabled]) => {
+                if (typeof enabled !== 'boolean') {
+                    throw new SiteConfigError(`features.${name} must be true or false`, `features.${name}`);
+                }
+            });
+        }
+
+        const theme = motel.theme || {};
+        Object.entries(theme).forEach(([name, value]) => {
+            if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value)) {
+                throw new SiteConfigError(`motel.theme.${name} must be a hex colour`, `motel.theme.${name}`);
+            }
+        });
+
+        return true;
+    }
+
+    validateId(value, pattern, field, config) {
+        if (!value) {
+            throw new SiteConfigError(`${field} is required`, field);
+        }
+
+        if (!pattern.test(value)) {
+            throw new SiteConfigError(`${field} "${value}" is malformed`, field);
+        }
+
+        // Template placeholders such as GTM-XXXXXXX are tolerated outside production only
+        if (/XXXX/.test(value)) {
+            const environment = config.deployment?.environment;
+            if (environment === 'production') {
+                throw new SiteConfigError(`${field} "${value}" is still a placeholder`, field);
+            }
+            console.warn(`Site config: ${field} "${value}" looks like a placeholder`);
+        }
+    }
+
+    domReady() {
+        if (document.readyState !== 'loading') {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            document.addEventListener('DOMContentLoaded', resolve, { once: true });
+        });
+    }
+
+    setupDataLayer() {
+        const name = this.options.dataLayerName;
+        window[name] = window[name] || [];
+
+        if (typeof window.gtag !== 'function') {
+            window.gtag = function() {
+                window[name].push(arguments);
+            };
+        }
+    }
+
+    // Inject the GTM container for this tenant
+    injectGTM(gtmId) {
+        const name = this.options.dataLayerName;
+        window[name].push({ 'gtm.start': new Date().getTime(), event: 'gtm.js' });
+
+        const script = document.createElement('script');
+        const dl = name !== 'dataLayer' ? '&l=' + name : '';
+        script.async = true;
+        script.src = 'https://www.googletagmanager.com/gtm.js?id=' + encodeURIComponent(gtmId) + dl;
+
+        const firstScript = document.getElementsByTagName('script')[0];
+        firstScript.parentNode.insertBefore(script, firstScript);
+
+        // The <noscript> fallback is static markup, so it can fall out of step with the config
+        document.querySelectorAll('noscript').forEach(noscript => {
+            const match = noscript.textContent.match(/googletagmanager\.com\/ns\.html\?id=([\w-]+)/);
+            if (match && match[1] !== gtmId) {
+                console.warn(`Site config: the GTM <noscript> fallback uses ${match[1]}, not analytics.gtmId ${gtmId}`);
+            }
+        });
+    }
+
+    applyTheme() {
+        const theme = this.config.motel.theme || {};
+        const properties = {
+            primaryColor: '--primary-color',
+            secondaryColor: '--secondary-color',
+            accentColor: '--accent-color'
+        };
+
+        Object.entries(properties).forEach(([key, property]) => {
+            if (theme[key]) {
+                document.documentElement.style.setProperty(property, theme[key]);
+            }
+        });
+    }
+
+    // Hide markup tied to a disabled feature, e.g. <section data-feature="newsletter">
+    applyFeatureFlags() {
+        document.querySelectorAll('[data-feature]').forEach(element => {
+            if (!this.isFeatureEnabled(element.dataset.feature)) {
+                element.style.display = 'none';
+            }
+        });
+    }
+
+    // Render motel.specialties into [data-specialties] lists as trackable amenities
+    renderSpecialties() {
+        const specialties = this.config.motel.specialties || [];
+
+        document.querySelectorAll('[data-specialties]').forEach(list => {
+            list.innerHTML = '';
+            specialties.forEach(name => {
+                const item = document.createElement('li');
+                item.textContent = name;
+                item.dataset.trackEvent = 'amenity_interaction';
+                item.dataset.amenity = name;
+                item.dataset.trackTrigger = 'click impression';
+                list.appendChild(item);
+            });
+        });
+    }
+
+    isFeatureEnabled(name) {
+        const features = this.config?.features || {};
+        return features[name] !== false;
+    }
+
+    getConsentOptions() {
+        return {
+            controller: {
+                name: this.config.motel.name,
+                email: this.config.motel.email,
+                phone: this.config.motel.phone,
+                address: this.config.motel.address,
+                url: this.config.motel.domain ? `https://${this.config.motel.domain}` : undefined
+            },
+            ...(this.config.consent || {}),
+            regionResolver: this.regionResolver
+        };
+    }
+
+    getTcfOptions() {
+        return {
+            consentLanguage: this.consentManager.getLocale().toUpperCase(),
+            ...(this.config.tcf || {})
+        };
+    }
+
+    getAnalyticsOptions() {
+        const { phone, email, address } = this.config.motel;
+
+        return {
+            requireConsent: this.config.analytics.consentRequired !== false,
+            contact: { phone, email, address },
+            motelName: this.config.motel.name,
+            currency: this.config.motel.currency || 'USD',
+            transport: this.config.analytics.transport || null,
+            session: this.config.analytics.session || {},
+            linker: this.config.analytics.linker || null,
+            redaction: this.config.analytics.redaction || {},
+            sections: this.config.analytics.sections || {},
+            scroll: this.config.analytics.scroll || {},
+            schema: {
+                mode: this.config.deployment?.environment === 'production' ? 'production' : 'development',
+                ...this.config.analytics.schema
+            },
+            attribution: {
+                internalHosts: [this.config.motel.domain].filter(Boolean),
+                ...this.config.analytics.attribution
+            },
+            features: {
+                booking: this.isFeatureEnabled('booking'),
+                newsletter: this.isFeatureEnabled('newsletter'),
+                phoneTracking: this.isFeatureEnabled('phoneTracking'),
+                scrollTracking: this.isFeatureEnabled('scrollTracking'),
+                performanceTracking: this.isFeatureEnabled('performanceTracking'),
+                sectionTracking: this.isFeatureEnabled('sectionTracking')
+            }
+        };
+    }
+}
+
+// Bootstrap the site; modules skip their own auto-initialization when this is present
+window.motelBootstrap = new SiteBootstrap();
+window.motelBootstrap.init().catch(error => {
+    console.error('Site bootstrap failed:', error);
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteBootstrap, SiteConfigError };
+}
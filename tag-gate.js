@@ -0,0 +1,252 @@
+/**
+ * Consent Tag Gate
+ * Holds back third-party scripts and iframes until their consent category is granted
+ *
+ * <script type="text/plain" data-consent-category="advertising" src="https://connect.facebook.net/en_US/fbevents.js"></script>
+ * <iframe data-consent-category="functional" data-src="https://www.google.com/maps?..." data-consent-placeholder="Google Maps"></iframe>
+ */
+
+class TagGate {
+    constructor(consentManager, options = {}) {
+        this.consentManager = consentManager;
+        this.options = {
+            selector: 'script[type="text/plain"][data-consent-category], iframe[data-consent-category]',
+            // Scripts can't be unloaded once they have run; reload so a withdrawn category takes effect
+            reloadOnRevoke: true,
+            ...options
+        };
+
+        this.activeScripts = new Map();
+        this.placeholders = new Map();
+
+        this.init();
+    }
+
+    init() {
+        this.injectStyles();
+        this.refresh();
+
+        ['motel:consentchange', 'motel:optout'].forEach(eventName => {
+            window.addEventListener(eventName, () => this.handleConsentChange());
+        });
+
+        // Placeholders are worded from the consent UI language
+        window.addEventListener('motel:localechange', () => this.renderPlaceholders());
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest && e.target.closest('.consent-placeholder-enable');
+            if (button) {
+                this.enableCategory(button.dataset.category);
+            }
+        });
+
+        // Pick up gated tags added after load
+        if ('MutationObserver' in window) {
+            new MutationObserver(records => this.handleAddedNodes(records)).observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+        }
+    }
+
+    // A withdrawn category can only be unloaded by reloading the page
+    handleConsentChange() {
+        const needsReload = this.refresh();
+        if (needsReload && this.options.reloadOnRevoke) {
+            window.location.reload();
+        }
+    }
+
+    // Gate only the inserted tags (and gated tags inside inserted subtrees), not the whole document
+    handleAddedNodes(records) {
+        const elements = new Set();
+        records.forEach(record => {
+            record.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return;
+
+                if (node.matches(this.options.selector)) {
+                    elements.add(node);
+                }
+                node.querySelectorAll(this.options.selector).forEach(element => elements.add(element));
+            });
+        });
+
+        elements.forEach(element => this.apply(element));
+    }
+
+    // Without a consent manager (consent not required) every category counts as granted
+    isGranted(category) {
+        if (!this.consentManager) return true;
+        return this.consentManager.isCategoryGranted(category);
+    }
+
+    // Activate or block every gated tag to match the current preferences; true when an active
+    // script was withdrawn, which only a reload undoes
+    refresh() {
+        let needsReload = false;
+
+        document.querySelectorAll(this.options.selector).forEach(element => {
+            if (this.apply(element)) {
+                needsReload = true;
+            }
+        });
+        return needsReload;
+    }
+
+    // Returns true when an active script had to be withdrawn
+    apply(element) {
+        const granted = this.isGranted(element.dataset.consentCategory);
+
+        if (element.tagName === 'IFRAME') {
+            granted ? this.activateFrame(element) : this.blockFrame(element);
+        } else if (granted) {
+            this.activateScript(element);
+        } else if (this.activeScripts.has(element)) {
+            this.deactivateScript(element);
+            return true;
+        }
+        return false;
+    }
+
+    // Re-create the script so the browser executes it
+    activateScript(original) {
+        if (this.activeScripts.has(original)) return;
+
+        const script = document.createElement('script');
+        Array.from(original.attributes).forEach(({ name, value }) => {
+            if (['type', 'data-type', 'data-src', 'data-consent-category'].includes(name)) return;
+            script.setAttribute(name, value);
+        });
+
+        if (original.dataset.type) {
+            script.type = original.dataset.type;
+        }
+        if (original.dataset.src) {
+            script.src = original.dataset.src;
+        }
+        script.text = original.text;
+        script.dataset.consentActivated = original.dataset.consentCategory;
+
+        original.after(script);
+        this.activeScripts.set(original, script);
+    }
+
+    deactivateScript(original) {
+        this.activeScripts.get(original).remove();
+        this.activeScripts.delete(original);
+    }
+
+    activateFrame(frame) {
+        const placeholder = this.placeholders.get(frame);
+        if (placeholder) {
+            placeholder.remove();
+            this.placeholders.delete(frame);
+        }
+
+        if (frame.dataset.src && frame.getAttribute('src') !== frame.dataset.src) {
+            frame.src = frame.dataset.src;
+        }
+        frame.style.display = '';
+    }
+
+    // Unload the frame and show a placeholder with an inline "enable" button
+    blockFrame(frame) {
+        if (frame.getAttribute('src') && frame.getAttribute('src') !== 'about:blank') {
+            if (!frame.dataset.src) {
+                frame.dataset.src = frame.getAttribute('src');
+            }
+            frame.src = 'about:blank';
+        }
+        frame.style.display = 'none';
+
+        if (!this.placeholders.has(frame)) {
+            const placeholder = this.createPlaceholder(frame);
+            frame.before(placeholder);
+            this.placeholders.set(frame, placeholder);
+        }
+    }
+
+    // Frames are only blocked with a consent manager, so its translation bundle is always there.
+    // data-consent-placeholder is literal text that doesn't follow the language switcher; the
+    // frame's title isn't used for the same reason
+    createPlaceholder(frame) {
+        const category = frame.dataset.consentCategory;
+        const translate = key => this.consentManager.translate(key);
+        const fill = (template) => template
+            .replace('{label}', frame.dataset.consentPlaceholder || translate('placeholderLabel'))
+            .replace('{category}', translate('placeholderCategories')[category] || category);
+
+        const placeholder = document.createElement('div');
+        placeholder.className = 'consent-placeholder';
+        placeholder.style.minHeight = frame.height ? `${parseInt(frame.height, 10)}px` : '';
+
+        const text = document.createElement('p');
+        text.textContent = fill(translate('placeholderText'));
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'consent-placeholder-enable';
+        button.dataset.category = category;
+        button.textContent = fill(translate('placeholderEnable'));
+
+        placeholder.append(text, button);
+        return placeholder;
+    }
+
+    renderPlaceholders() {
+        this.placeholders.forEach((placeholder, frame) => {
+            const replacement = this.createPlaceholder(frame);
+            placeholder.replaceWith(replacement);
+            this.placeholders.set(frame, replacement);
+        });
+    }
+
+    enableCategory(category) {
+        if (!this.consentManager) return;
+        this.consentManager.updateConsent({ [category]: true });
+    }
+
+    injectStyles() {
+        if (document.getElementById('consentPlaceholderStyles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'consentPlaceholderStyles';
+        style.textContent = `
+            .consent-placeholder {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                gap: 10px;
+                padding: 20px;
+                background: #f5f5f5;
+                border: 1px dashed #ccc;
+                border-radius: 5px;
+                text-align: center;
+                color: #555;
+            }
+
+            .consent-placeholder-enable {
+                padding: 8px 16px;
+                border: none;
+                border-radius: 5px;
+                background: #27ae60;
+                color: white;
+                font-weight: bold;
+                cursor: pointer;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Initialize when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
+document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap) return;
+    window.tagGate = new TagGate(window.consentManager || null);
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagGate;
+}
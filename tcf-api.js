@@ -0,0 +1,602 @@
+/**
+ * IAB TCF v2.2 CMP API
+ * Exposes __tcfapi (ping, addEventListener, removeEventListener, getTCData) with __tcfapiLocator
+ * messaging, and stores the visitor's purpose/vendor choices as a TC string in a first-party cookie
+ */
+
+const TCF_API_VERSION = '2.2';
+const TCF_POLICY_VERSION = 4;
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// TCF purpose id -> ConsentManager categories that grant it. Only opt-in categories count: functional
+// storage stays on after "Decline all", so it grants nothing, and content personalisation (5, 6, 11)
+// has no category. Purpose 1 (device storage) follows an affirmative analytics or advertising choice
+const TCF_PURPOSE_CATEGORIES = {
+    1: ['analytics', 'advertising'],
+    2: ['advertising'],
+    3: ['advertising'],
+    4: ['advertising'],
+    5: [],
+    6: [],
+    7: ['advertising'],
+    8: ['analytics'],
+    9: ['analytics'],
+    10: ['analytics'],
+    11: []
+};
+
+// Encodes/decodes the core and disclosed-vendors segments of a TC string
+class TCString {
+    static encode(model) {
+        const writer = new TCBitWriter();
+
+        writer.int(2, 6);
+        writer.int(Math.round(model.created / 100), 36);
+        writer.int(Math.round(model.lastUpdated / 100), 36);
+        writer.int(model.cmpId, 12);
+        writer.int(model.cmpVersion, 12);
+        writer.int(model.consentScreen, 6);
+        writer.letters(model.consentLanguage);
+        writer.int(model.vendorListVersion, 12);
+        writer.int(model.policyVersion, 6);
+        writer.bool(model.isServiceSpecific);
+        writer.bool(model.useNonStandardTexts);
+        writer.bitfield(model.specialFeatureOptins, 12);
+        writer.bitfield(model.purposeConsents, 24);
+        writer.bitfield(model.purposeLegitimateInterests, 24);
+        writer.bool(model.purposeOneTreatment);
+        writer.letters(model.publisherCountryCode);
+        writer.vendors(model.vendorConsents);
+        writer.vendors(model.vendorLegitimateInterests);
+        writer.int(0, 12); // no publisher restrictions
+
+        const segments = [writer.toBase64Url()];
+
+        if (model.disclosedVendors && model.disclosedVendors.length) {
+            const disclosed = new TCBitWriter();
+            disclosed.int(1, 3);
+            disclosed.vendors(model.disclosedVendors);
+            segments.push(disclosed.toBase64Url());
+        }
+
+        return segments.join('.');
+    }
+
+    // Returns the decoded model, or throws when the string is not a v2 TC string
+    static decode(tcString) {
+        const [core, ...segments] = String(tcString).split('.');
+        const reader = TCBitReader.fromBase64Url(core);
+
+        const version = reader.int(6);
+        if (version !== 2) {
+            throw new Error(`Unsupported TC string version ${version}`);
+        }
+
+        const model = {
+            version,
+            created: reader.int(36) * 100,
+            lastUpdated: reader.int(36) * 100,
+            cmpId: reader.int(12),
+            cmpVersion: reader.int(12),
+            consentScreen: reader.int(6),
+            consentLanguage: reader.letters(),
+            vendorListVersion: reader.int(12),
+            policyVersion: reader.int(6),
+            isServiceSpecific: reader.bool(),
+            useNonStandardTexts: reader.bool(),
+            specialFeatureOptins: reader.bitfield(12),
+            purposeConsents: reader.bitfield(24),
+            purposeLegitimateInterests: reader.bitfield(24),
+            purposeOneTreatment: reader.bool(),
+            publisherCountryCode: reader.letters(),
+            vendorConsents: reader.vendors(),
+            vendorLegitimateInterests: reader.vendors(),
+            disclosedVendors: []
+        };
+
+        segments.forEach(segment => {
+            const segmentReader = TCBitReader.fromBase64Url(segment);
+            if (segmentReader.int(3) === 1) {
+                model.disclosedVendors = segmentReader.vendors();
+            }
+        });
+
+        return model;
+    }
+}
+
+class TCBitWriter {
+    constructor() {
+        this.bits = '';
+    }
+
+    int(value, length) {
+        const bits = Math.max(0, Math.floor(value || 0)).toString(2);
+        if (bits.length > length) {
+            throw new Error(`${value} does not fit in ${length} bits`);
+        }
+        this.bits += bits.padStart(length, '0');
+    }
+
+    bool(value) {
+        this.bits += value ? '1' : '0';
+    }
+
+    letters(code) {
+        const upper = String(code || 'AA').toUpperCase();
+        this.int(upper.charCodeAt(0) - 65, 6);
+        this.int(upper.charCodeAt(1) - 65, 6);
+    }
+
+    // ids are 1-based
+    bitfield(ids, length) {
+        const set = new Set(ids);
+        for (let id = 1; id <= length; id++) {
+            this.bool(set.has(id));
+        }
+    }
+
+    // Vendor section, using whichever of bitfield or range encoding is shorter
+    vendors(ids) {
+        const sorted = [...new Set(ids)].sort((a, b) => a - b);
+        const maxVendorId = sorted.length ? sorted[sorted.length - 1] : 0;
+
+        const ranges = [];
+        sorted.forEach(id => {
+            const last = ranges[ranges.length - 1];
+            if (last && id === last[1] + 1) {
+                last[1] = id;
+            } else {
+                ranges.push([id, id]);
+            }
+        });
+
+        const rangeLength = 12 + ranges.reduce((sum, [start, end]) => sum + (start === end ? 17 : 33), 0);
+
+        this.int(maxVendorId, 16);
+        if (rangeLength < maxVendorId) {
+            this.bool(true);
+            this.int(ranges.length, 12);
+            ranges.forEach(([start, end]) => {
+                this.bool(start !== end);
+                this.int(start, 16);
+                if (start !== end) {
+                    this.int(end, 16);
+                }
+            });
+        } else {
+            this.bool(false);
+            this.bitfield(sorted, maxVendorId);
+        }
+    }
+
+    // Pad to a multiple of 24 bits (whole bytes and whole base64 characters)
+    toBase64Url() {
+        let bits = this.bits;
+        const remainder = bits.length % 24;
+        if (remainder) {
+            bits += '0'.repeat(24 - remainder);
+        }
+
+        let result = '';
+        for (let i = 0; i < bits.length; i += 6) {
+            result += BASE64URL_ALPHABET[parseInt(bits.substr(i, 6), 2)];
+        }
+        return result;
+    }
+}
+
+class TCBitReader {
+    constructor(bits) {
+        this.bits = bits;
+        this.position = 0;
+    }
+
+    static fromBase64Url(segment) {
+        let bits = '';
+        for (const char of segment) {
+            const index = BASE64URL_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid TC string character "${char}"`);
+            }
+            bits += index.toString(2).padStart(6, '0');
+        }
+        return new TCBitReader(bits);
+    }
+
+    int(length) {
+        if (this.position + length > this.bits.length) {
+            throw new Error('TC string is truncated');
+        }
+        const value = parseInt(this.bits.substr(this.position, length), 2);
+        this.position += length;
+        return value;
+    }
+
+    bool() {
+        return this.int(1) === 1;
+    }
+
+    letters() {
+        return String.fromCharCode(this.int(6) + 65, this.int(6) + 65);
+    }
+
+    bitfield(length) {
+        const ids = [];
+        for (let id = 1; id <= length; id++) {
+            if (this.bool()) ids.push(id);
+        }
+        return ids;
+    }
+
+    vendors() {
+        const maxVendorId = this.int(16);
+        if (!this.bool()) {
+            return this.bitfield(maxVendorId);
+        }
+
+        // Range encoding
+        const ids = [];
+        const entries = this.int(12);
+        for (let i = 0; i < entries; i++) {
+            const isRange = this.bool();
+            const start = this.int(16);
+            const end = isRange ? this.int(16) : start;
+            for (let id = start; id <= end; id++) {
+                ids.push(id);
+            }
+        }
+        return ids;
+    }
+}
+
+class TcfApi {
+    constructor(consentManager, options = {}) {
+        this.consentManager = consentManager;
+        this.options = {
+            // IAB-assigned CMP id and version; 0 marks an unregistered CMP
+            cmpId: 0,
+            cmpVersion: 1,
+            consentScreen: 1,
+            consentLanguage: 'EN',
+            publisherCountryCode: 'US',
+            vendorListUrl: 'vendor-list.json',
+            cookieName: 'euconsent-v2',
+            cookieMaxAge: 60 * 60 * 24 * 390,
+            ...options
+        };
+
+        this.vendorList = null;
+        this.tcModel = null;
+        this.tcString = '';
+        this.eventStatus = 'cmpuishown';
+        this.listeners = new Map();
+        this.nextListenerId = 1;
+
+        this.init();
+    }
+
+    init() {
+        const queued = (window.__tcfapi && window.__tcfapi.a) || [];
+
+        TcfApi.installStub();
+        window.__tcfapi = (command, version, callback, parameter) => {
+            this.handleCommand(command, version, callback, parameter);
+        };
+
+        this.ready = this.loadVendorList().then(vendorList => {
+            this.vendorList = vendorList;
+            this.restoreModel();
+        });
+
+        // Replay calls made to the stub before we loaded
+        queued.forEach(args => window.__tcfapi(...args));
+
+        window.addEventListener('motel:consentchange', (e) => {
+            this.ready.then(() => this.handleConsentChange(e.detail));
+        });
+        window.addEventListener('motel:consentbannershown', () => {
+            this.ready.then(() => {
+                this.eventStatus = 'cmpuishown';
+                this.notifyListeners();
+            });
+        });
+    }
+
+    // Minimal __tcfapi queue plus the __tcfapiLocator frame and postMessage bridge for iframes
+    static installStub() {
+        if (typeof window.__tcfapi !== 'function') {
+            const queue = [];
+            window.__tcfapi = function(...args) {
+                if (args[0] === 'ping' && typeof args[2] === 'function') {
+                    args[2]({ gdprApplies: undefined, cmpLoaded: false, cmpStatus: 'stub', apiVersion: TCF_API_VERSION }, true);
+                    return;
+                }
+                queue.push(args);
+            };
+            window.__tcfapi.a = queue;
+        }
+
+        if (!window.frames['__tcfapiLocator'] && document.body) {
+            const locator = document.createElement('iframe');
+            locator.name = '__tcfapiLocator';
+            locator.style.display = 'none';
+            locator.setAttribute('aria-hidden', 'true');
+            locator.tabIndex = -1;
+            document.body.appendChild(locator);
+        }
+
+        if (!window.__tcfapiMessageBridge) {
+            window.__tcfapiMessageBridge = true;
+            window.addEventListener('message', (event) => {
+                let data = event.data;
+                const isString = typeof data === 'string';
+                if (isString) {
+                    try {
+                        data = JSON.parse(data);
+                    } catch (error) {
+                        return;
+                    }
+                }
+
+                const call = data && data.__tcfapiCall;
+                if (!call || !event.source) return;
+
+                window.__tcfapi(call.command, call.version, (returnValue, success) => {
+                    const message = { __tcfapiReturn: { returnValue, success, callId: call.callId } };
+                    event.source.postMessage(isString ? JSON.stringify(message) : message, '*');
+                }, call.parameter);
+            });
+        }
+    }
+
+    async loadVendorList() {
+        try {
+            const response = await fetch(this.options.vendorListUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Failed to load TCF vendor list:', error);
+            return { vendorListVersion: 0, tcfPolicyVersion: TCF_POLICY_VERSION, vendors: {} };
+        }
+    }
+
+    handleCommand(command, version, callback, parameter) {
+        if (typeof callback !== 'function') return;
+
+        if (version !== undefined && version !== null && version !== 2) {
+            callback(null, false);
+            return;
+        }
+
+        if (command === 'ping') {
+            callback(this.getPingReturn(), true);
+            return;
+        }
+
+        this.ready.then(() => {
+            switch (command) {
+                case 'getTCData':
+                    callback(this.getTCData(Array.isArray(parameter) ? parameter : null), true);
+                    break;
+                case 'addEventListener': {
+                    const listenerId = this.nextListenerId++;
+                    this.listeners.set(listenerId, callback);
+                    callback(this.getTCData(null, listenerId), true);
+                    break;
+                }
+                case 'removeEventListener':
+                    callback(this.listeners.delete(parameter), true);
+                    break;
+                default:
+                    callback(null, false);
+            }
+        });
+    }
+
+    getPingReturn() {
+        return {
+            gdprApplies: this.gdprApplies(),
+            cmpLoaded: Boolean(this.vendorList),
+            cmpStatus: this.vendorList ? 'loaded' : 'loading',
+            displayStatus: this.consentManager.bannerShown ? 'visible' : 'hidden',
+            apiVersion: TCF_API_VERSION,
+            cmpVersion: this.options.cmpVersion,
+            cmpId: this.options.cmpId,
+            gvlVersion: this.vendorList ? this.vendorList.vendorListVersion : undefined,
+            tcfPolicyVersion: TCF_POLICY_VERSION
+        };
+    }
+
+    // GDPR (and UK GDPR / Swiss FADP) jurisdictions
+    gdprApplies() {
+        return ['EEA', 'UK', 'CH'].includes(this.consentManager.getRegion().jurisdiction);
+    }
+
+    getTCData(vendorIds = null, listenerId) {
+        const model = this.tcModel;
+        const purposeConsents = model ? model.purposeConsents : [];
+        const vendorConsents = model ? model.vendorConsents : [];
+        const ids = vendorIds || Object.keys(this.vendorList.vendors).map(Number);
+
+        const toMap = (keys, granted) => keys.reduce((map, id) => {
+            map[id] = granted.includes(Number(id));
+            return map;
+        }, {});
+
+        const tcData = {
+            tcString: this.tcString,
+            tcfPolicyVersion: TCF_POLICY_VERSION,
+            cmpId: this.options.cmpId,
+            cmpVersion: this.options.cmpVersion,
+            gdprApplies: this.gdprApplies(),
+            eventStatus: this.eventStatus,
+            cmpStatus: 'loaded',
+            isServiceSpecific: true,
+            useNonStandardTexts: false,
+            publisherCC: this.options.publisherCountryCode,
+            purposeOneTreatment: false,
+            purpose: {
+                consents: toMap(Object.keys(TCF_PURPOSE_CATEGORIES), purposeConsents),
+                legitimateInterests: {}
+            },
+            vendor: {
+                consents: toMap(ids, vendorConsents),
+                legitimateInterests: {}
+            },
+            specialFeatureOptins: {},
+            publisher: {
+                consents: {},
+                legitimateInterests: {},
+                customPurpose: { consents: {}, legitimateInterests: {} },
+                restrictions: {}
+            }
+        };
+
+        if (listenerId !== undefined) {
+            tcData.listenerId = listenerId;
+        }
+
+        return tcData;
+    }
+
+    // The ConsentManager's preferences are the source of truth: the TC string cookie is only reused
+    // while it still says the same, so an expired or revoked decision never reads as tcloaded
+    restoreModel() {
+        const preferences = this.consentManager.preferences;
+        if (!preferences || !preferences.consentGiven) {
+            this.tcModel = null;
+            this.tcString = '';
+            this.deleteCookie();
+            this.eventStatus = 'cmpuishown';
+            return;
+        }
+
+        const stored = this.readStoredModel();
+        const { purposeConsents, vendorConsents } = this.getConsents(preferences);
+        if (stored && this.sameIds(stored.model.purposeConsents, purposeConsents) && this.sameIds(stored.model.vendorConsents, vendorConsents)) {
+            this.tcModel = stored.model;
+            this.tcString = stored.tcString;
+        } else {
+            // Keeps the stored string's creation date
+            this.tcModel = stored ? stored.model : null;
+            this.updateModel(preferences);
+        }
+
+        // A decision the banner asks about again (new consentVersion or wording) is not settled yet
+        this.eventStatus = this.consentManager.shouldShowBanner() ? 'cmpuishown' : 'tcloaded';
+    }
+
+    // Decoded TC string cookie for the current vendor list, or null
+    readStoredModel() {
+        const tcString = this.readCookie();
+        if (!tcString) return null;
+
+        try {
+            const model = TCString.decode(tcString);
+            return model.vendorListVersion === this.vendorList.vendorListVersion ? { model, tcString } : null;
+        } catch (error) {
+            console.warn('Ignoring invalid TC string cookie:', error);
+            return null;
+        }
+    }
+
+    sameIds(a, b) {
+        return a.length === b.length && a.every(id => b.includes(id));
+    }
+
+    handleConsentChange({ action, preferences }) {
+        if (action === 'revoke' || !preferences) {
+            this.tcModel = null;
+            this.tcString = '';
+            this.deleteCookie();
+            this.eventStatus = 'cmpuishown';
+        } else {
+            this.updateModel(preferences);
+            this.eventStatus = action === 'restore' ? 'tcloaded' : 'useractioncomplete';
+        }
+
+        this.notifyListeners();
+    }
+
+    getConsents(preferences) {
+        // A decline (or any choice without an opt-in category) leaves every purpose without consent
+        const purposeConsents = Object.keys(TCF_PURPOSE_CATEGORIES).map(Number).filter(purpose => {
+            return TCF_PURPOSE_CATEGORIES[purpose].some(category => preferences[category] === true);
+        });
+
+        // A vendor gets consent only when every purpose it relies on consent for was granted
+        const vendorConsents = Object.values(this.vendorList.vendors)
+            .filter(vendor => vendor.purposes.length && vendor.purposes.every(id => purposeConsents.includes(id)))
+            .map(vendor => vendor.id);
+
+        return { purposeConsents, vendorConsents };
+    }
+
+    updateModel(preferences) {
+        const { purposeConsents, vendorConsents } = this.getConsents(preferences);
+        const vendors = Object.values(this.vendorList.vendors);
+
+        const now = Date.now();
+        this.tcModel = {
+            created: this.tcModel ? this.tcModel.created : now,
+            lastUpdated: now,
+            cmpId: this.options.cmpId,
+            cmpVersion: this.options.cmpVersion,
+            consentScreen: this.options.consentScreen,
+            consentLanguage: this.options.consentLanguage,
+            vendorListVersion: this.vendorList.vendorListVersion,
+            policyVersion: TCF_POLICY_VERSION,
+            isServiceSpecific: true,
+            useNonStandardTexts: false,
+            specialFeatureOptins: [],
+            purposeConsents,
+            purposeLegitimateInterests: [],
+            purposeOneTreatment: false,
+            publisherCountryCode: this.options.publisherCountryCode,
+            vendorConsents,
+            vendorLegitimateInterests: [],
+            disclosedVendors: vendors.map(vendor => vendor.id)
+        };
+
+        this.tcString = TCString.encode(this.tcModel);
+        this.writeCookie(this.tcString);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach((callback, listenerId) => {
+            callback(this.getTCData(null, listenerId), true);
+        });
+    }
+
+    readCookie() {
+        const name = this.options.cookieName + '=';
+        const cookie = document.cookie.split('; ').find(entry => entry.startsWith(name));
+        return cookie ? decodeURIComponent(cookie.substring(name.length)) : null;
+    }
+
+    writeCookie(value) {
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${this.options.cookieName}=${value}; max-age=${this.options.cookieMaxAge}; path=/; SameSite=Lax${secure}`;
+    }
+
+    deleteCookie() {
+        document.cookie = `${this.options.cookieName}=; max-age=0; path=/`;
+    }
+}
+
+// Install the __tcfapi stub as early as possible so vendor calls are queued
+TcfApi.installStub();
+
+// Initialize when DOM is ready (site-bootstrap.js constructs it from site-config.json instead)
+document.addEventListener('DOMContentLoaded', function() {
+    if (window.motelBootstrap || !window.consentManager) return;
+    window.tcfApi = new TcfApi(window.consentManager);
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TcfApi, TCString };
+}
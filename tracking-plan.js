@@ -0,0 +1,14 @@
+/**
+ * Tracking Plan Export
+ * Writes the event schema registry (event-schema.js) as a tracking plan for analysts
+ *
+ *   npm run tracking-plan                       # Markdown on stdout
+ *   npm run tracking-plan -- --csv > plan.csv   # CSV, one row per event parameter
+ */
+
+const EventSchemaRegistry = require('./event-schema');
+
+const registry = new EventSchemaRegistry({ mode: 'development' });
+const format = process.argv.includes('--csv') ? 'csv' : 'markdown';
+
+process.stdout.write(format === 'csv' ? registry.toCsv() : registry.toMarkdown());
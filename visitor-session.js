@@ -0,0 +1,278 @@
+/**
+ * Visitor Session
+ * First-party visitor and session model that carries across page loads: a session ends after
+ * 30 minutes of inactivity, at midnight, or when the visitor arrives from a different campaign.
+ * Nothing is stored until analytics consent is granted; until then the visitor and session
+ * live in memory for the current page only
+ */
+
+// Query parameters that identify a campaign; arriving with a different combination starts a new session
+const CAMPAIGN_PARAMETERS = [
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+    'gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid'
+];
+
+// Ids generateId() produces: crypto.randomUUID(), or the base-36 time and random fallback
+const VISITOR_ID_PATTERN = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-z]{1,12}-[0-9a-z]{1,12})$/i;
+
+class VisitorSession {
+    constructor(options = {}) {
+        this.options = {
+            visitorKey: 'motel_visitor',
+            sessionKey: 'motel_session',
+            sessionTimeout: 30 * 60 * 1000,
+            // Store the visitor and session (i.e. analytics consent is granted)
+            persistent: false,
+            ...options
+        };
+
+        this.persistent = false;
+        // Set when the visitor and session were handed over by the cross-domain linker
+        this.linked = false;
+        this.pageStartTime = Date.now();
+        this.campaign = this.getCampaignKey();
+        this.visitor = this.createVisitor();
+        this.session = null;
+        // Start of the current engaged stretch (page visible and visitor active), null while paused
+        this.engagedSince = null;
+
+        this.startSession(this.pageStartTime);
+        this.session.pageCount = 1;
+
+        if (this.options.persistent) {
+            this.setPersistent(true);
+        }
+    }
+
+    createVisitor() {
+        return { id: this.generateId(), createdAt: Date.now(), sessionCount: 0 };
+    }
+
+    startSession(now) {
+        this.visitor.sessionCount++;
+        this.session = {
+            id: this.generateId(),
+            number: this.visitor.sessionCount,
+            startedAt: now,
+            lastActivity: now,
+            landingPage: window.location.pathname,
+            pageCount: 0,
+            engagedTime: 0,
+            campaign: this.campaign
+        };
+    }
+
+    // Granting consent continues the stored visitor and session; withdrawing it deletes them
+    // and rotates the visitor id so later events can't be linked to earlier ones
+    setPersistent(persistent) {
+        if (persistent === this.persistent) return;
+        this.persistent = persistent;
+
+        if (!persistent) {
+            this.remove(this.options.visitorKey);
+            this.remove(this.options.sessionKey);
+            this.visitor = { ...this.createVisitor(), sessionCount: this.session.number };
+            this.session = { ...this.session, id: this.generateId() };
+            return;
+        }
+
+        const now = Date.now();
+        const visitor = this.read(this.options.visitorKey);
+        const session = this.read(this.options.sessionKey);
+
+        // A handed-over visitor and session win over whatever this domain stored earlier
+        if (visitor && visitor.id && !this.linked) {
+            const onThisPage = this.session;
+            this.visitor = visitor;
+
+            if (session && !this.hasEnded(session, this.pageStartTime) && !this.isNewCampaign(session)) {
+                // This page belongs to the stored session
+                this.session = {
+                    ...session,
+                    pageCount: session.pageCount + onThisPage.pageCount,
+                    engagedTime: session.engagedTime + onThisPage.engagedTime,
+                    lastActivity: Math.max(session.lastActivity, onThisPage.lastActivity)
+                };
+            } else {
+                this.visitor.sessionCount++;
+                this.session = { ...onThisPage, number: this.visitor.sessionCount };
+            }
+        }
+
+        this.save(now);
+    }
+
+    // Handed-over values come from a URL anyone can write: only ids of our own shape, a positive
+    // session number and a start time that isn't in the future are accepted
+    static isValidHandover({ visitorId, sessionId, sessionNumber, sessionStartedAt }) {
+        return VISITOR_ID_PATTERN.test(String(visitorId)) &&
+            VISITOR_ID_PATTERN.test(String(sessionId)) &&
+            Number.isInteger(sessionNumber) && sessionNumber >= 1 &&
+            Number.isInteger(sessionStartedAt) && sessionStartedAt > 0 && sessionStartedAt <= Date.now();
+    }
+
+    // Continue the visitor and session of another domain (cross-domain linker), so the return
+    // from the booking engine stays in the session that started the booking. Returns false and
+    // changes nothing when the values are malformed
+    adopt(handover) {
+        if (!VisitorSession.isValidHandover(handover)) return false;
+
+        const { visitorId, sessionId, sessionNumber, sessionStartedAt } = handover;
+        const now = Date.now();
+        this.linked = true;
+        this.visitor = {
+            ...this.visitor,
+            id: visitorId,
+            sessionCount: sessionNumber
+        };
+        this.session = {
+            ...this.session,
+            id: sessionId,
+            number: sessionNumber,
+            startedAt: sessionStartedAt,
+            lastActivity: now
+        };
+        this.save(now);
+        return true;
+    }
+
+    // Record activity (every tracked event); starts a new session when the current one has ended
+    touch(now = Date.now()) {
+        this.sync();
+        if (this.hasEnded(this.session, now)) {
+            this.takeEngagedTime(now);
+            this.startSession(now);
+            this.session.pageCount = 1;
+        }
+
+        this.session.lastActivity = now;
+        this.save(now);
+    }
+
+    // 30 minutes without activity, or the last activity was on an earlier day (visitor's local time)
+    hasEnded(session, now) {
+        if (now - session.lastActivity >= this.options.sessionTimeout) return true;
+        return new Date(session.lastActivity).toDateString() !== new Date(now).toDateString();
+    }
+
+    isNewCampaign(session) {
+        return Boolean(this.campaign) && this.campaign !== session.campaign;
+    }
+
+    // Campaign parameters of the current URL as a stable string ('' when there are none)
+    getCampaignKey() {
+        const params = new URLSearchParams(window.location.search);
+        return CAMPAIGN_PARAMETERS
+            .filter(name => params.get(name))
+            .map(name => `${name}=${params.get(name)}`)
+            .join('&');
+    }
+
+    // Engaged time only accrues while the page is visible and the visitor is active
+    resumeEngagement(now = Date.now()) {
+        if (this.engagedSince === null) {
+            this.engagedSince = now;
+        }
+    }
+
+    pauseEngagement(now = Date.now()) {
+        this.save(now);
+        this.engagedSince = null;
+    }
+
+    // Engaged time since the last save; the running stretch restarts at `now`
+    takeEngagedTime(now) {
+        if (this.engagedSince === null) return 0;
+
+        const elapsed = Math.max(now - this.engagedSince, 0);
+        this.engagedSince = now;
+        return elapsed;
+    }
+
+    // Pick up changes made by other tabs of the same visitor
+    sync() {
+        if (!this.persistent) return;
+
+        const visitor = this.read(this.options.visitorKey);
+        const session = this.read(this.options.sessionKey);
+
+        if (visitor && visitor.id === this.visitor.id) {
+            this.visitor.sessionCount = Math.max(this.visitor.sessionCount, visitor.sessionCount);
+        }
+        if (!session) return;
+
+        if (session.id === this.session.id) {
+            this.session.pageCount = Math.max(this.session.pageCount, session.pageCount);
+            this.session.engagedTime = Math.max(this.session.engagedTime, session.engagedTime);
+            this.session.lastActivity = Math.max(this.session.lastActivity, session.lastActivity);
+        } else if (session.startedAt > this.session.startedAt) {
+            // Another tab already started the next session
+            this.session = session;
+        }
+    }
+
+    save(now = Date.now()) {
+        this.sync();
+        this.session.engagedTime += this.takeEngagedTime(now);
+
+        if (!this.persistent) return;
+        this.write(this.options.visitorKey, this.visitor);
+        this.write(this.options.sessionKey, this.session);
+    }
+
+    // Parameters attached to every event
+    getParameters(now = Date.now()) {
+        const running = this.engagedSince === null ? 0 : Math.max(now - this.engagedSince, 0);
+
+        return {
+            visitor_id: this.visitor.id,
+            session_id: this.session.id,
+            session_number: this.session.number,
+            session_landing_page: this.session.landingPage,
+            session_page_count: this.session.pageCount,
+            session_engaged_time: this.session.engagedTime + running
+        };
+    }
+
+    getSessionDuration(now = Date.now()) {
+        return now - this.session.startedAt;
+    }
+
+    read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Failed to save visitor session:', error);
+        }
+    }
+
+    remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+
+    generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisitorSession;
+    module.exports.CAMPAIGN_PARAMETERS = CAMPAIGN_PARAMETERS;
+    module.exports.VISITOR_ID_PATTERN = VISITOR_ID_PATTERN;
+}